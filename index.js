@@ -4,12 +4,35 @@ const AsciiTable = require('ascii-table')
 const yargs = require('yargs');
 const fs = require('fs');
 const path = require('path');
+const { rgbToLab, labToLCh, rgbToOklab } = require('./lib/colorSpaces');
+const { DEFAULT_PALETTE_SIZE, extractPalette } = require('./lib/palette');
+const layouts = require('./lib/layouts');
+const { loadCache, getCacheEntry, setCacheEntry, saveCache } = require('./lib/cache');
+const { mapWithConcurrency } = require('./lib/concurrency');
+const { createProgressReporter } = require('./lib/progress');
+const { getCellColors, assignCandidatesToCells, tintImage } = require('./lib/mosaic');
+const { getTileHeight, getTileRect, createManifest, createViewerHTML } = require('./lib/manifest');
+const { easeInOutCubic, encodeAnimatedGif } = require('./lib/animation');
+const { getCoverCropRect, getSmartCropRect } = require('./lib/crop');
+const { createReport, createReportCSV, createReportHTML } = require('./lib/report');
+const { watchDirectory } = require('./lib/watch');
+const { DEFAULT_CONFIG_FILENAME, PRESETS, loadConfig, getJobConfigs } = require('./lib/config');
+const { frameTile, roundCorners, loadCaptionFont, getCaptionHeight, drawCaption } = require('./lib/decorations');
+const { SUPPORTED_EXTENSIONS, isInputImageFilename, getInputImagePaths, readInputList } = require('./lib/inputs');
+const { PYRAMID_FORMATS, createPyramid, getTileRegion, clearPyramid, writeTile, writeLowerLevels, createDZIDescriptor, createPyramidViewerHTML } = require('./lib/pyramid');
+const { HASH_METHODS, DUPLICATE_KEEPS, getPerceptualHashes, getSharpness, removeDuplicates, createDuplicatesReport, createDuplicatesReportCSV, createDuplicatesReportHTML } = require('./lib/dedupe');
 
 // Define the possible input image sort orders in this 'enum'.
 const SORT_ORDERS = {
     'ROW_MAJOR': 'row-major',
     'COLUMN_MAJOR': 'column-major',
-    'DIAGONAL': 'diagonal'
+    'DIAGONAL': 'diagonal',
+    // Like row-major, but every other row runs right to left, so consecutive images always touch.
+    'SERPENTINE': 'serpentine',
+    // Follows a space-filling Hilbert curve, so images close together in the sort stay close together in 2D.
+    'HILBERT': 'hilbert',
+    // Rearranges images in 2D to minimize the color difference between every pair of neighbors.
+    'ANNEALED': 'annealed',
 };
 // Define the posible input image sort parameters in this 'enum'.
 const SORT_PARAMETERS = {
@@ -18,78 +41,196 @@ const SORT_PARAMETERS = {
     'SATURATION': 'saturation',
     'VALUE': 'value',
     'LUMA': 'luma',
+    // CIELAB/LCh lightness, chroma, and hue. These are perceptually uniform-ish.
+    'LIGHTNESS': 'lightness',
+    'CHROMA': 'chroma',
+    'PERCEPTUAL_HUE': 'perceptualHue',
+    // OKLab/OKLCh lightness, chroma, and hue. These are even more perceptually uniform,
+    // especially through the blues and purples.
+    'OK_LIGHTNESS': 'okLightness',
+    'OK_CHROMA': 'okChroma',
+    'OK_HUE': 'okHue',
+};
+// These sort parameters are angles around the color wheel, so `hueOffset` rotates them.
+const HUE_SORT_PARAMETERS = [SORT_PARAMETERS.HUE, SORT_PARAMETERS.PERCEPTUAL_HUE, SORT_PARAMETERS.OK_HUE];
+// Colors with a chroma below these are pure greys, give or take rounding error, so their `perceptualHue` and `okHue`
+// are set to 0 instead of whatever angle the rounding error happens to point at.
+// Even the greyest non-grey color, like #808081, is far above them.
+const LCH_GREY_CHROMA = 0.001;
+const OKLCH_GREY_CHROMA = 0.00001;
+// Define where the group of near-grey images goes in this 'enum'. See `greyThreshold`.
+const GREY_PLACEMENTS = {
+    'START': 'start',
+    'END': 'end',
 };
 // Define the possible visualization modes in this 'enum'.
 const VISUALIZATION_MODES = {
     'NORMAL': 'normal',
     'DOMINANT': 'dominant',
     'FOURBYFOUR': '4x4',
+    'PALETTE': 'palette',
 }
+// Define the possible methods of picking each image's color in this 'enum'.
+// The picked color is what gets sorted, and what the `dominant` visualization mode draws.
+const COLOR_METHODS = {
+    // The mean color of the whole image.
+    'AVERAGE': 'average',
+    // The color of the largest cluster in the image's palette.
+    'DOMINANT': 'dominant',
+    // The most visually prominent color in the image's palette.
+    // Saturated clusters are favored over larger neutral ones.
+    'PALETTE': 'palette',
+};
+// Define the possible output layouts in this 'enum'.
+const LAYOUTS = {
+    // Every image is cropped to the same size and placed on a grid according to `sortOrder`.
+    'GRID': 'grid',
+    // Images keep their aspect ratios and flow left to right in rows of (roughly) equal height.
+    'JUSTIFIED': 'justified',
+    // Images keep their aspect ratios and stack into columns of equal width.
+    'MASONRY': 'masonry',
+};
+// Define the possible ways of fitting each image into its tile in this 'enum'.
+const FIT_MODES = {
+    // Scale the image to fill its tile, cropping around the center.
+    'COVER': 'cover',
+    // Scale the whole image to fit inside its tile, letterboxing onto `background`.
+    'CONTAIN': 'contain',
+    // Like `cover`, but the crop window moves towards the most detailed part of the image.
+    'SMART': 'smart',
+};
+// Define the possible text captions under each tile in this 'enum'.
+const CAPTIONS = {
+    'NONE': 'none',
+    'FILENAME': 'filename',
+    // The hex code of each image's color, i.e. `#ff8800`.
+    'COLOR': 'color',
+};
+// Define the possible ways of handling grid cells that don't have an image in this 'enum'.
+const EMPTY_CELLS = {
+    // Leave them showing the background.
+    'EMPTY': 'empty',
+    // Fill each one with the color of the nearest image.
+    'SWATCH': 'swatch',
+    // Center the images in the partly-filled row (or column) instead.
+    'CENTER': 'center',
+};
+// Define the possible formats of the color report written by `--outputFilename table` in this 'enum'.
+const REPORT_FORMATS = {
+    'JSON': 'json',
+    'CSV': 'csv',
+    // A standalone page with color swatches and a hue histogram.
+    'HTML': 'html',
+};
+// Define the possible kinds of animation in this 'enum'.
+const ANIMATION_MODES = {
+    // One frame per visualization mode, i.e. normal -> 4x4 -> dominant.
+    'VISUALIZATION_MODES': 'visualizationModes',
+    // One frame per sort parameter, i.e. hue -> saturation -> value.
+    'SORT_PARAMETERS': 'sortParameters',
+    // Every tile slides from its filename-sorted position to its color-sorted position.
+    'TWEEN': 'tween',
+};
 
-// Set up script command line arguments. I love yargs.
-const argv = yargs
-    .option('numRows', {
-        alias: 'r',
-        describe: 'Number of rows in the output image',
-        type: 'number'
-    })
-    .option('numColumns', {
-        alias: 'c',
-        describe: 'Number of columns in the output image',
-        type: 'number'
-    })
-    .option('pxPerImage', {
-        alias: 'px',
-        describe: 'Number of pixels per side per sub-image in the output image. The same number of pixels will be used for width and height. Defaults to the minimum dimension across all input images.',
-        type: 'number'
-    })
-    .option('outputFilename', {
-        alias: 'o',
-        describe: 'The directory and filename at which you want the final output image to appear. Must include the image extensions, i.e. `./output/output.png`. Set this value to "files" if you want the sorted image grid to be output to enumerated files in the `./output/` folder.',
-        type: 'string'
-    })
-    .option('sortOrder', {
-        alias: 's',
-        describe: 'The order into which you want your input images to be sorted',
-        type: 'string',
-        choices: Object.values(SORT_ORDERS),
-        default: SORT_ORDERS.COLUMN_MAJOR
-    })
-    .option('sortParameter', {
-        alias: 'p',
-        describe: 'The color parameter by which you want to sort. Experiment with this!',
-        type: 'string',
-        choices: Object.values(SORT_PARAMETERS),
-        default: SORT_PARAMETERS.HUE
-    })
-    .option('inputDirectory', {
-        alias: 'i',
-        describe: 'The directory inside which you have placed input files for this script.',
-        type: 'string',
-        default: './images'
-    })
-    .option('visualizationMode', {
-        alias: 'v',
-        describe: 'The output image visualization mode. Experiment!',
-        type: 'string',
-        choices: Object.values(VISUALIZATION_MODES),
-        default: VISUALIZATION_MODES.NORMAL
-    })
-    .option('greyscale', {
-        alias: 'g',
-        describe: 'Makes all input images greyscale before processing them. Try this mode while sorting by value!',
-        type: "boolean",
-        default: false
-    })
-    .option('heightScale', {
-        alias: 'hs',
-        describe: 'Images will be clipped to a square aspect ratio by default.This setting applies a ratio between height and width, image height will be x times greater than width. Use values <1 for landscape or values >1 for portrait.',
-        type: "number",
-        default: 1
-    })
-    .help()
-    .alias('help', 'h')
-    .argv;
+// These are the default values for every option accepted by `createGrid()` and friends.
+// The CLI's `yargs` defaults below are pulled from this same Object so that
+// library callers and command line users get the same behavior.
+const DEFAULT_OPTIONS = {
+    numRows: undefined,
+    numColumns: undefined,
+    pxPerImage: undefined,
+    sortOrder: SORT_ORDERS.COLUMN_MAJOR,
+    sortParameter: SORT_PARAMETERS.HUE,
+    reverse: false,
+    hueOffset: 0,
+    greyThreshold: 0,
+    greyPlacement: GREY_PLACEMENTS.END,
+    analysisCache: undefined,
+    inputDirectory: './images',
+    recursive: false,
+    include: [],
+    exclude: [],
+    inputList: undefined,
+    dedupe: false,
+    dedupeHash: HASH_METHODS.PHASH,
+    dedupeThreshold: 6,
+    dedupeColorThreshold: 0.1,
+    dedupeKeep: DUPLICATE_KEEPS.RESOLUTION,
+    pyramid: undefined,
+    tileSize: 256,
+    visualizationMode: VISUALIZATION_MODES.NORMAL,
+    greyscale: false,
+    heightScale: 1,
+    colorMethod: COLOR_METHODS.AVERAGE,
+    paletteSize: DEFAULT_PALETTE_SIZE,
+    cache: true,
+    cacheDir: undefined,
+    rebuildCache: false,
+    concurrency: 4,
+    keepTileSources: true,
+    target: undefined,
+    maxReuse: 0,
+    tint: 0,
+    animate: undefined,
+    animateValues: undefined,
+    frameDelay: 1000,
+    loop: 0,
+    tweenFrames: 12,
+    layout: LAYOUTS.GRID,
+    rowHeight: undefined,
+    columnWidth: undefined,
+    outputWidth: undefined,
+    fit: FIT_MODES.COVER,
+    background: '#00000000',
+    cropRects: undefined,
+    gutter: 0,
+    margin: 0,
+    border: 0,
+    cornerRadius: 0,
+    caption: CAPTIONS.NONE,
+    emptyCells: EMPTY_CELLS.EMPTY,
+    onProgress: undefined,
+    logger: console,
+};
+
+// This function merges user-supplied options with `DEFAULT_OPTIONS`.
+// It always returns a brand new Object, so nothing we do during a run can leak into the next one.
+function resolveOptions(options = {}) {
+    const resolvedOptions = Object.assign({}, DEFAULT_OPTIONS);
+
+    // Ignore `undefined` values so that they don't clobber our defaults.
+    Object.keys(options).forEach((key) => {
+        if (options[key] !== undefined) {
+            resolvedOptions[key] = options[key];
+        }
+    });
+
+    validateConcurrency(resolvedOptions.concurrency);
+
+    return resolvedOptions;
+}
+
+// This function throws an `Error` unless `concurrency` is a whole number of images greater than zero.
+// It returns `concurrency` so that yargs can use it to `coerce` the `--concurrency` option.
+function validateConcurrency(concurrency) {
+    // Uh oh! Error! Stinky!
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new Error(`\`concurrency\` must be a whole number greater than zero, but it's \`${concurrency}\`!`);
+    }
+
+    return concurrency;
+}
+
+// This function takes a color string like `#ff8800` or `ff880080` and returns it as a `Jimp` color number.
+// Colors without an alpha channel are fully opaque.
+function parseHexColor(colorString) {
+    const hex = String(colorString).replace(/^#/, '');
+    if (!/^([0-9a-f]{6}|[0-9a-f]{8})$/i.test(hex)) {
+        throw new Error(`\`${colorString}\` isn't a valid color! Use a hex color like \`#ff8800\`, or \`#ff880080\` for a transparent one.`);
+    }
+
+    return parseInt(hex.length === 6 ? hex + 'ff' : hex, 16) >>> 0;
+}
 
 // This function takes an object { r, g, b } and converts those
 // RGB colors into the HSV (hue, saturation, value) color representation.
@@ -131,343 +272,2244 @@ function hexToHSV(hexRGB) {
     return { hue, saturation, value };
 }
 
+// This function takes an object { r, g, b } and builds the `colorInfo` Object
+// that we store for each input image and sort by.
+function getColorInfo(colorHex) {
+    // Create a new `colorInfo` Object that initially contains
+    // the hue, saturation, and value data associated with the color.
+    let colorInfo = hexToHSV(colorHex);
+    // Add the color's luma value to the `colorInfo` Object.
+    colorInfo["luma"] = 0.3 * colorHex.r + 0.59 * colorHex.g + 0.11 * colorHex.b;
+
+    // Add the perceptual color space representations of the color.
+    const lab = rgbToLab(colorHex);
+    const lch = labToLCh(lab);
+    colorInfo["lab"] = lab;
+    colorInfo["lightness"] = lch.l;
+    colorInfo["chroma"] = lch.c;
+    colorInfo["perceptualHue"] = lch.c < LCH_GREY_CHROMA ? 0 : lch.h;
+
+    const oklab = rgbToOklab(colorHex);
+    const oklch = labToLCh(oklab);
+    colorInfo["oklab"] = oklab;
+    colorInfo["okLightness"] = oklch.l;
+    colorInfo["okChroma"] = oklch.c;
+    colorInfo["okHue"] = oklch.c < OKLCH_GREY_CHROMA ? 0 : oklch.h;
+
+    colorInfo["colorHexString"] = [colorHex.r, colorHex.g, colorHex.b].map((channel) => { return channel.toString(16).padStart(2, '0'); }).join('');
+
+    return colorInfo;
+}
+
+// This function picks the color that represents an image according to `colorMethod`.
+// `averageColor` is an { r, g, b } object, and `palette` comes from `extractPalette()`.
+// Returns an { r, g, b } object.
+function pickImageColor(averageColor, palette, colorMethod) {
+    if (colorMethod === COLOR_METHODS.AVERAGE || palette.length === 0) {
+        return averageColor;
+    }
+
+    if (colorMethod === COLOR_METHODS.DOMINANT) {
+        return palette[0];
+    }
+
+    // Weigh each cluster's size by how colorful it is, so that a vivid subject
+    // wins out over a large grey or white background.
+    let mostProminentColor = palette[0];
+    let highestProminence = -1;
+    palette.forEach((color) => {
+        const prominence = color.weight * (0.05 + labToLCh(rgbToOklab(color)).c);
+        if (prominence > highestProminence) {
+            mostProminentColor = color;
+            highestProminence = prominence;
+        }
+    });
+
+    return mostProminentColor;
+}
+
+// This function draws an image's palette as vertical stripes whose widths
+// are proportional to the weight of each color in the palette.
+function createPaletteImage(palette, width, height) {
+    const paletteImage = new Jimp({ width, height });
+
+    let stripeX = 0;
+    let totalWeight = 0;
+    palette.forEach((color, colorIndex) => {
+        totalWeight += color.weight;
+        // Round the running total instead of each stripe's width so that the stripes always fill the tile.
+        const nextStripeX = colorIndex === palette.length - 1 ? width : Math.round(totalWeight * width);
+        if (nextStripeX > stripeX) {
+            paletteImage.composite(new Jimp({ width: nextStripeX - stripeX, height, color: parseInt(color.colorHexString + 'ff', 16) }), stripeX, 0);
+        }
+        stripeX = nextStripeX;
+    });
+
+    return paletteImage;
+}
+
 // This function takes in a specially-formatted image data array and determines
 // the proper number of pixels for the width and height dimensions of each image in the output grid.
-function determinePxPerImage(imageDataArray) {
-    console.log(`\nDetermining number of pixels for the dimensions of each image in the output grid...`);
+function determinePxPerImage(imageDataArray, options) {
+    const { logger } = options;
+    logger.log(`\nDetermining number of pixels for the dimensions of each image in the output grid...`);
 
-    // If the user defined the `pxPerImage` command line argument,
+    // If the user defined the `pxPerImage` option,
     // use that value. This will result in upscaling or downscaling of each input image.
-    if (argv.pxPerImage) {
-        console.log(`\`pxPerImage\` was set at runtime to \`${argv.pxPerImage}px\`!`);
-        return;
+    if (options.pxPerImage) {
+        logger.log(`\`pxPerImage\` was set at runtime to \`${options.pxPerImage}px\`!`);
+        return options.pxPerImage;
     }
 
     // The number of pixels for the width and height of each image in the output grid
     // will automatically be determined to be the smallest pixel dimension across all input images.
+    let pxPerImage;
     imageDataArray.forEach((currentImageData) => {
-        argv.pxPerImage = Math.min(argv.pxPerImage || 999999, Math.min(currentImageData.image.bitmap.width, currentImageData.image.bitmap.height * argv["heightScale"]));
+        pxPerImage = Math.min(pxPerImage || 999999, Math.min(currentImageData.width, currentImageData.height * options.heightScale));
     });
 
-    console.log(`\`pxPerImage\` was automatically set to \`${argv.pxPerImage}px\`!`);
-}
-
-// If this `Promise` resolves, the caller will receive a specially-formatted and _unsorted_ `imageDataArray`
-// which contains various pieces of data about each input image.
-function processImages(imageFilenames) {
-    return new Promise((resolve, reject) => {
-        console.log(`Processing all images...`);
-
-        if (argv.greyscale) {
-            console.log(`(Making each image greyscale first...)`);
-        }
-
-        let imageDataArray = [];
-
-        imageFilenames.forEach(async (imageFilename) => {
-            console.log(`Processing \`${imageFilename}\`...`);
-
-            Jimp.read(path.resolve(path.join(argv.inputDirectory, imageFilename)))
-                .then((currentImage) => {
-                    let currentImageData = {
-                        "imageFilename": imageFilename,
-                        "image": currentImage,
-                    };
-
-                    if (argv.sortParameter !== SORT_PARAMETERS.FILENAME) {
-                        // This is an interesting argument to set to `true` when sorting by `value`.
-                        if (argv.greyscale) {
-                            currentImageData.image.greyscale();
-                        }
-
-                        // Make a clone of this input image upon which we can operate.
-                        const imageClone = currentImage.clone();
-
-                        // If we have this cool visualization mode set...
-                        if (argv.visualizationMode === VISUALIZATION_MODES.FOURBYFOUR) {
-                            currentImageData["4x4"] = currentImage.clone().resize({ w: 4, h: 4 * argv["heightScale"], method: Jimp.RESIZE_BICUBIC });
-                        }
-
-                        // Resize the cloned image to 1x1px using the bicubic method.
-                        // This will give us an output image whose only pixel
-                        // contains the average color of the input image (for some definition of "average").
-                        imageClone.resize({ w: 1, h: 1, mode: Jimp.RESIZE_BICUBIC });
-                        // Get the pixel color from the 1x1px image and translate that decimal color into a
-                        // properly-formatted hex string.
-                        let colorHexString = imageClone.getPixelColor(0, 0).toString(16).substring(0, 6).padStart(6, '0');
-
-                        // For easier operation later, turn that hex string into an { r, g, b } object.
-                        let colorHex = {
-                            r: parseInt(colorHexString.substring(0, 2), 16),
-                            g: parseInt(colorHexString.substring(2, 4), 16),
-                            b: parseInt(colorHexString.substring(4, 6), 16)
-                        };
-                        // Create a new `colorInfo` Object that initially contains
-                        // the hue, saturation, and value data associated with the current input image.
-                        let colorInfo = hexToHSV(colorHex);
-                        // Add the current image's luma value to the `colorInfo` Object.
-                        colorInfo["luma"] = 0.3 * colorHex.r + 0.59 * colorHex.g + 0.11 * colorHex.b;
-                        colorInfo["colorHexString"] = colorHexString;
-
-                        // Save the calculated color info to our `currentImageData` Object.
-                        currentImageData["colorInfo"] = colorInfo;
-                    }
+    logger.log(`\`pxPerImage\` was automatically set to \`${pxPerImage}px\`!`);
+    return pxPerImage;
+}
 
-                    // Push the almost-fully-constructed image data Object to the `imageDataArray`,
-                    // which will be used by the function caller.
-                    imageDataArray.push(currentImageData);
-
-                    // If we're done processing all of the images...
-                    if (imageDataArray.length === imageFilenames.length) {
-                        console.log(`Done processing images!`);
-
-                        // ...determine the number of px in the width and height dimensions for
-                        // each image in the output grid...
-                        determinePxPerImage(imageDataArray);
-
-                        if (argv.visualizationMode === VISUALIZATION_MODES.NORMAL) {
-                            // ...then create a resized version of each input image according to
-                            // the calculated number of pixels per image from the function call above. 
-                            imageDataArray.forEach((currentImageData) => {
-                                // We use the `cover()` method here. This will ensure there is no
-                                // letterboxing in any of the images present in the output image grid.
-                                currentImageData["outputImage"] = currentImageData.image.clone().cover({ w: argv["pxPerImage"], h: ( argv["pxPerImage"] * argv["heightScale"] ) });
-                            });
-
-                            resolve(imageDataArray);
-                            return;
-                        } else if (argv.visualizationMode === VISUALIZATION_MODES.FOURBYFOUR) {
-                            imageDataArray.forEach((currentImageData) => {
-                                currentImageData["outputImage"] = currentImageData["4x4"].resize({ w: argv["pxPerImage"], h: ( argv["pxPerImage"] * argv["heightScale"] ), method: Jimp.RESIZE_NEAREST_NEIGHBOR });
-                            });
-
-                            resolve(imageDataArray);
-                            return;
-                        } else if (argv.visualizationMode === VISUALIZATION_MODES.DOMINANT) {
-                            let outputImageCount = 0;
-                            imageDataArray.forEach((currentImageData) => {
-                                const outputImage = new Jimp({ width: argv.pxPerImage, height: ( argv.pxPerImage * argv["heightScale"] ), color: parseInt(currentImageData.colorInfo.colorHexString + 'ff', 16) });
-
-                                currentImageData["outputImage"] = outputImage;
-                                outputImageCount++;
-
-                                if (outputImageCount === imageDataArray.length) {
-                                    resolve(imageDataArray);
-                                }
-                            });
-                            return;
-                        }
-                    }
-                })
-                .catch((error) => {
-                    reject(`Error when reading ${imageFilename}! Error:\n${error}`);
-                });
-        });
-    });
+// Each input to `processImages()` may either be a path to an image file or a `Buffer`
+// containing encoded image data. This function gives each input a human-readable name.
+// Files inside `inputDirectory` are named by their path relative to it, so that images with the same
+// filename in different subdirectories can be told apart.
+function getInputName(input, index, inputDirectory) {
+    if (Buffer.isBuffer(input)) {
+        return `buffer_${index}`;
+    }
+
+    if (inputDirectory) {
+        const relativePath = path.relative(path.resolve(inputDirectory), path.resolve(input));
+        if (relativePath && !relativePath.startsWith('..') && !path.isAbsolute(relativePath)) {
+            return relativePath.split(path.sep).join('/');
+        }
+    }
+
+    return path.basename(input);
 }
 
-function createOutputGrid(imageArray) {
-    return new Promise((resolve, reject) => {
-        console.log(`\nCompositing output image in ${argv.sortOrder} order...`);
-
-        // Create a new `Jimp` image big enough to hold all of our properly-resized input images.
-        const outputImage = new Jimp({ width: argv.numColumns * argv.pxPerImage, height: ( argv.numRows * argv.pxPerImage * argv.heightScale ) });
-
-        let currentImageArrayIndex = 0;
-
-
-        if (argv.sortOrder === SORT_ORDERS.DIAGONAL) {
-            let columns = argv.numColumns
-            let rows = argv.numRows
-             
-            let diagonals = rows + columns - 1
-               
-            let row = 0
-            let column = 0
-            let num = 0
-                
-            for (let d = 0; d < diagonals; d++) {
-                [row, column] = d < rows ? [d, 0] : [ rows - 1, d - rows + 1] ;
-                
-                while ( ( row >= 0 ) && ( column < columns ) ) {
-                    let currentImage = imageArray[num++] ;
-                    
-                    let outputX = column * argv.pxPerImage ;
-                    column += 1 ;
-                    
-                    let outputY = row * argv.pxPerImage * argv.heightScale ;
-                    row -= 1 ;
-                    
-                    if (currentImage) {
-                        outputImage.composite(currentImage, outputX, outputY);
-                    } else {
-                        console.error(`Invalid \`currentImage\`!`);
-                    }
-                    
-                }
-            }
-        } else if (argv.sortOrder === SORT_ORDERS.ROW_MAJOR) {
-            for (let outputY = 0; outputY < ( argv.numRows * argv.pxPerImage * argv.heightScale ) ; outputY += ( argv.pxPerImage * argv.heightScale ) ) {
-                for (let outputX = 0; outputX < argv.numColumns * argv.pxPerImage; outputX += argv.pxPerImage) {
-                    let currentImage = imageArray[currentImageArrayIndex++];
-
-                    if (currentImage) {
-                        outputImage.composite(currentImage, outputX, outputY);
-                    } else {
-                        console.error(`Invalid \`currentImage\`!`);
-                    }
-                }
-            }
+// This function reads an input file path or `Buffer` into a `Jimp` image.
+// `Jimp.read()` turns the image upright according to its EXIF orientation, so everything after this,
+// like color analysis and cropping, sees the photo the right way up.
+async function readInputImage(input, options) {
+    const image = await Jimp.read(Buffer.isBuffer(input) ? input : path.resolve(input));
+
+    // This is an interesting argument to set to `true` when sorting by `value`.
+    if (options.greyscale) {
+        image.greyscale();
+    }
+
+    return image;
+}
+
+// This function returns `true` if we need to know the color of each input image.
+function needsColorAnalysis(options) {
+    return options.sortParameter !== SORT_PARAMETERS.FILENAME || options.greyThreshold > 0 || options.visualizationMode !== VISUALIZATION_MODES.NORMAL || options.sortOrder === SORT_ORDERS.ANNEALED || !!options.target ||
+        options.border > 0 || options.caption === CAPTIONS.COLOR || options.emptyCells === EMPTY_CELLS.SWATCH || options.dedupe;
+}
+
+// This function returns `true` if we need to know the palette of each input image.
+function needsPalette(options) {
+    return options.colorMethod !== COLOR_METHODS.AVERAGE || options.visualizationMode === VISUALIZATION_MODES.PALETTE;
+}
+
+// This function analyses the colors of a `Jimp` image.
+// It returns `{ averageColor, palette }`, where `averageColor` is an { r, g, b } object.
+// Set `withPalette` to `false` to skip palette extraction, in which case `palette` will be empty.
+function analyzeImage(image, options, withPalette) {
+    // Make a clone of this input image upon which we can operate.
+    const imageClone = image.clone();
+
+    // Resize the cloned image to 1x1px using the bicubic method.
+    // This will give us an output image whose only pixel
+    // contains the average color of the input image (for some definition of "average").
+    imageClone.resize({ w: 1, h: 1, mode: Jimp.RESIZE_BICUBIC });
+    // Get the pixel color from the 1x1px image and translate that decimal color into a
+    // properly-formatted hex string. The color is RGBA, so we pad it out to all 8 digits
+    // before dropping the alpha channel. Otherwise, colors with little red lose their leading zeroes!
+    let colorHexString = (imageClone.getPixelColor(0, 0) >>> 0).toString(16).padStart(8, '0').substring(0, 6);
+
+    // For easier operation later, turn that hex string into an { r, g, b } object.
+    let averageColor = {
+        r: parseInt(colorHexString.substring(0, 2), 16),
+        g: parseInt(colorHexString.substring(2, 4), 16),
+        b: parseInt(colorHexString.substring(4, 6), 16)
+    };
+
+    // Extract the image's palette if we need it to pick its color or to draw it.
+    let palette = [];
+    if (withPalette) {
+        palette = extractPalette(image, { paletteSize: options.paletteSize });
+    }
+
+    return { averageColor, palette };
+}
+
+// This function returns `true` if `processImages()` should keep a `tileSource` for each image it reads.
+// Only the visualization modes that draw the image itself need one, and `options.keepTileSources` turns them off
+// for callers that never draw tiles, or that draw too many of them to keep in memory, like tile pyramids.
+function needsTileSources(options) {
+    return options.keepTileSources && (options.visualizationMode === VISUALIZATION_MODES.NORMAL || options.visualizationMode === VISUALIZATION_MODES.FOURBYFOUR);
+}
+
+// This function returns how much a `width` x `height` input image can be shrunk and still cover any tile
+// it might end up in, as a scale of at most 1. Tiles are `pxPerImage` wide in grids and photomosaics,
+// never taller than `rowHeight` in justified layouts, and never wider than a column in masonry layouts.
+function getTileSourceScale(width, height, pxPerImage, options) {
+    let scale;
+    if (options.layout === LAYOUTS.JUSTIFIED && !options.target) {
+        scale = Math.ceil(options.rowHeight || pxPerImage) / height;
+    } else if (options.layout === LAYOUTS.MASONRY && !options.target) {
+        const columnWidth = options.columnWidth || pxPerImage;
+        const maxColumnWidth = options.outputWidth ? layouts.getMasonryColumns(options.outputWidth, columnWidth, options.gutter).maxColumnWidth : columnWidth;
+        scale = Math.ceil(maxColumnWidth) / width;
+    } else {
+        scale = Math.max(pxPerImage / width, getTileHeight(pxPerImage, options.heightScale) / height);
+    }
+    return Math.min(1, scale);
+}
+
+// This function shrinks `image` in place by `scale`, unless that wouldn't make it any smaller. Returns `image`.
+function shrinkImage(image, scale) {
+    const width = Math.max(1, Math.ceil(image.bitmap.width * scale));
+    const height = Math.max(1, Math.ceil(image.bitmap.height * scale));
+    if (width < image.bitmap.width || height < image.bitmap.height) {
+        image.resize({ w: width, h: height });
+    }
+    return image;
+}
+
+// This function reads and analyses one input, consulting `cache` (which may be `undefined`) first.
+// It resolves to a specially-formatted image data Object. The full-resolution image is _not_ kept around.
+// If `needsTileSources()`, a copy shrunk to the size of the image's biggest possible tile is kept as `tileSource`
+// instead, so that `createOutputImage()` doesn't have to read the input again.
+// `tileSourceBound.pxPerImage` is the biggest `pxPerImage` that the grid could still end up with.
+async function processImage(input, index, options, cache, tileSourceBound) {
+    let currentImageData = {
+        "imageFilename": getInputName(input, index, options.inputDirectory),
+        // Hang on to the input so that we can read it again later.
+        "input": input,
+    };
+
+    if (!Buffer.isBuffer(input)) {
+        currentImageData["imagePath"] = path.resolve(input);
+    }
+
+    // `Buffer`s have no path or modification time, so they are never cached.
+    const analysisSettings = { greyscale: options.greyscale, paletteSize: options.paletteSize };
+    const canUseCache = cache && !Buffer.isBuffer(input);
+
+    let analysis;
+    if (canUseCache) {
+        analysis = getCacheEntry(cache, input, analysisSettings, options.dedupe ? ['hashes', 'sharpness'] : []);
+    }
+
+    if (!analysis) {
+        let image = await readInputImage(input, options);
+
+        // Cache entries always get a complete color analysis, so that every later run can use them.
+        if (needsColorAnalysis(options) || canUseCache) {
+            // When caching, always extract the palette so that switching `colorMethod` later doesn't need a re-analysis.
+            analysis = analyzeImage(image, options, canUseCache || needsPalette(options));
         } else {
-            for (let outputX = 0; outputX < argv.numColumns * argv.pxPerImage; outputX += argv.pxPerImage) {
-                for (let outputY = 0; outputY < ( argv.numRows * argv.pxPerImage * argv.heightScale ) ; outputY += ( argv.pxPerImage * argv.heightScale ) ) {
-                    let currentImage = imageArray[currentImageArrayIndex++];
-
-                    if (currentImage) {
-                        outputImage.composite(currentImage, outputX, outputY);
-                        console.log(`Outputting ${currentImage.toString()} to coords ${outputX},${outputY}`);
-                    } else {
-                        console.error(`Invalid \`currentImage\`!`);
-                    }
-                }
+            analysis = {};
+        }
+        analysis.width = image.bitmap.width;
+        analysis.height = image.bitmap.height;
+
+        if (options.dedupe) {
+            analysis.hashes = getPerceptualHashes(image);
+            analysis.sharpness = getSharpness(image);
+        }
+
+        if (needsTileSources(options)) {
+            updateTileSourceBound(tileSourceBound, analysis.width, analysis.height, options);
+            currentImageData["tileSource"] = shrinkImage(image, getTileSourceScale(analysis.width, analysis.height, tileSourceBound.pxPerImage, options));
+        }
+
+        // We're done with the full-resolution image. Let it go as soon as possible.
+        image = undefined;
+
+        if (canUseCache) {
+            setCacheEntry(cache, input, analysisSettings, analysis);
+        }
+    } else if (needsTileSources(options)) {
+        // Images from the cache aren't read until their tile is drawn, but they still tell us how small `pxPerImage` can get.
+        updateTileSourceBound(tileSourceBound, analysis.width, analysis.height, options);
+    }
+
+    currentImageData["width"] = analysis.width;
+    currentImageData["height"] = analysis.height;
+
+    if (options.dedupe) {
+        currentImageData["hash"] = analysis.hashes[options.dedupeHash];
+        currentImageData["sharpness"] = analysis.sharpness;
+    }
+
+    if (analysis.averageColor) {
+        currentImageData["palette"] = analysis.palette;
+        // Create a new `colorInfo` Object that contains all sorts of data about the color that represents this image.
+        currentImageData["colorInfo"] = getColorInfo(pickImageColor(analysis.averageColor, analysis.palette, options.colorMethod));
+    }
+
+    return currentImageData;
+}
+
+// This function returns the directory that holds the color analysis cache: `cacheDir` if it's set,
+// otherwise the directory of the `inputList` file if there is one, otherwise the input directory.
+function getCacheDirectory(options) {
+    if (options.cacheDir) {
+        return options.cacheDir;
+    }
+    return options.inputList ? path.dirname(options.inputList) : options.inputDirectory;
+}
+
+// If this `Promise` resolves, the caller will receive an Object containing a specially-formatted
+// and _unsorted_ `imageDataArray`, which contains various pieces of data about each input image,
+// along with the `pxPerImage` that each image's tile should be.
+// Images that can't be read are left out of `imageDataArray` and listed in `skipped` as `{ imageFilename, error }`
+// instead, so one corrupt file doesn't ruin the whole run. This only rejects if _no_ images could be read.
+// If `options.dedupe` is set, only one image from each group of near-duplicates is kept in `imageDataArray`.
+// The groups are listed in `duplicates`; see `removeDuplicates()`.
+// At most `options.concurrency` images are read at once, and each one is read only once: as soon as it's been
+// analysed, it's shrunk down to the size of its tile (see `needsTileSources()`) and the full-resolution image is let go.
+// Use `createOutputImage()` to build each image's tile.
+async function processImages(inputs, options) {
+    options = resolveOptions(options);
+    const { logger } = options;
+
+    // Uh oh! Error! Stinky!
+    if (options.dedupe) {
+        if (!Object.values(HASH_METHODS).includes(options.dedupeHash)) {
+            throw new Error(`\`${options.dedupeHash}\` isn't a perceptual hash! Choose from: ${Object.values(HASH_METHODS).join(', ')}`);
+        }
+        if (!Object.values(DUPLICATE_KEEPS).includes(options.dedupeKeep)) {
+            throw new Error(`\`${options.dedupeKeep}\` isn't a way to choose which duplicate to keep! Choose from: ${Object.values(DUPLICATE_KEEPS).join(', ')}`);
+        }
+    }
+
+    logger.log(`Processing all images...`);
+
+    if (options.greyscale) {
+        logger.log(`(Making each image greyscale first...)`);
+    }
+
+    // Load the color analysis cache from `getCacheDirectory()`.
+    // Long-running callers, like watch mode, can instead pass in the cache from `loadCache()` as `analysisCache`,
+    // so it stays in memory between runs.
+    let cache;
+    if (needsColorAnalysis(options) && (options.analysisCache || options.cache)) {
+        cache = options.analysisCache || loadCache(getCacheDirectory(options), { rebuild: options.rebuildCache, logger });
+        cache.hits = 0;
+        cache.misses = 0;
+    }
+
+    const reportProgress = createProgressReporter(`Analysing images`, inputs.length, options);
+    const tileSourceBound = { pxPerImage: options.pxPerImage || Infinity };
+
+    let imageDataArray;
+    const skipped = [];
+    try {
+        imageDataArray = await mapWithConcurrency(inputs, options.concurrency, (input, index) => {
+            return processImage(input, index, options, cache, tileSourceBound)
+                .then((currentImageData) => {
+                    reportProgress(currentImageData.imageFilename);
+                    return currentImageData;
+                }, (error) => {
+                    const imageFilename = getInputName(input, index, options.inputDirectory);
+                    logger.error(`Error when reading ${imageFilename}! Skipping it. Error:\n${error.message || error}`);
+                    skipped.push({ imageFilename, error: error.message || String(error) });
+                    reportProgress(imageFilename);
+                    return undefined;
+                });
+        });
+    } finally {
+        // Even if one image failed, save what we've learned about the others.
+        if (cache) {
+            if (options.cache) {
+                saveCache(cache);
             }
+            logger.log(`Color analysis cache: ${cache.hits} hit(s), ${cache.misses} miss(es).`);
+        }
+    }
+
+    // Uh oh! Error! Stinky!
+    imageDataArray = imageDataArray.filter((currentImageData) => { return currentImageData; });
+    if (imageDataArray.length === 0) {
+        throw new Error(`Couldn't read any of the ${inputs.length} input images!`);
+    }
+
+    if (skipped.length > 0) {
+        logger.log(`Done processing images! Skipped ${skipped.length} image(s) that couldn't be read.`);
+    } else {
+        logger.log(`Done processing images!`);
+    }
+
+    // Bursts and re-edits of the same shot would otherwise end up as a clump of identical-looking tiles.
+    let duplicates = [];
+    if (options.dedupe) {
+        logger.log(`Looking for near-duplicate images...`);
+        ({ imageDataArray, duplicates } = removeDuplicates(imageDataArray, { threshold: options.dedupeThreshold, colorThreshold: options.dedupeColorThreshold, keep: options.dedupeKeep }));
+        const numDropped = duplicates.reduce((sum, group) => { return sum + group.dropped.length; }, 0);
+        logger.log(`Done! Found ${duplicates.length} group(s) of near-duplicates, and dropped ${numDropped} image(s).`);
+    }
+
+    // ...determine the number of px in the width and height dimensions for
+    // each image in the output grid.
+    const pxPerImage = determinePxPerImage(imageDataArray, options);
+
+    // Images read before we'd seen the smallest one were kept bigger than they need to be.
+    imageDataArray.forEach((currentImageData) => {
+        if (currentImageData.tileSource) {
+            const scale = getTileSourceScale(currentImageData.width, currentImageData.height, pxPerImage, options) * currentImageData.width / currentImageData.tileSource.bitmap.width;
+            shrinkImage(currentImageData.tileSource, scale);
         }
- 
-        console.log(`Done compositing output image!`);
-        resolve(outputImage);
     });
+
+    return { imageDataArray, pxPerImage, skipped, duplicates };
 }
 
-// This function determines how many images are present in each row and in each column
-// in the output image.
-function setNumRowsAndNumCols(numInputImages) {
-    // If the user specified both `--numRows` and `--numColumns` when running the script,
-    // we don't need to do any work.
-    if (!argv.numRows || !argv.numColumns) {
-        // If the user _only_ specified `--numRows`...
-        if (argv.numRows) {
-            argv.numColumns = Math.ceil(numInputImages / argv.numRows);
-            return;
-        }
+// While images are still being analysed, we don't know the automatic `pxPerImage` yet. It's the smallest
+// image dimension, though, so it's never bigger than the smallest dimension we've seen so far.
+// This function lowers `tileSourceBound.pxPerImage` to match a `width` x `height` image.
+function updateTileSourceBound(tileSourceBound, width, height, options) {
+    if (!options.pxPerImage) {
+        tileSourceBound.pxPerImage = Math.min(tileSourceBound.pxPerImage, width, height * options.heightScale);
+    }
+}
 
-        // If the user _only_ specified `--numColumns`...
-        if (argv.numColumns) {
-            argv.numRows = Math.ceil(numInputImages / argv.numColumns);
-            return;
+// This function builds the tile for one image in the output grid, according to `options.visualizationMode`.
+// If the visualization mode needs the image's pixels, they come from the `tileSource` that `processImages()` kept,
+// or, if there isn't one that's big enough, from reading the input again.
+// Resolves to a `pxPerImage` x `pxPerImage * heightScale` `Jimp` image.
+async function createOutputImage(currentImageData, pxPerImage, options) {
+    options = resolveOptions(options);
+    return createTile(currentImageData, pxPerImage, getTileHeight(pxPerImage, options.heightScale), options);
+}
+
+// This function builds a `width` x `height` tile for one image. See `createOutputImage()`.
+async function createTile(currentImageData, width, height, options) {
+    const borderWidth = getBorderWidth(width, height, options);
+    const tile = await renderTile(currentImageData, width - 2 * borderWidth, height - 2 * borderWidth, options);
+    return finishTile(tile, currentImageData, width, height, options);
+}
+
+// This function returns how wide the border around a `width` x `height` tile is.
+// There's always at least one pixel of image left inside the border.
+function getBorderWidth(width, height, options) {
+    return Math.max(0, Math.min(Math.round(options.border), Math.floor((Math.min(width, height) - 1) / 2)));
+}
+
+// This function takes a tile rendered by `renderTile()` and tints it, frames it in a border
+// of the image's color, and rounds its corners, according to `options`. Returns a `width` x `height` tile.
+function finishTile(tile, currentImageData, width, height, options) {
+    applyTint(tile, currentImageData, options);
+
+    const borderWidth = getBorderWidth(width, height, options);
+    if (borderWidth > 0 && currentImageData.colorInfo) {
+        tile = frameTile(tile, width, height, borderWidth, parseHexColor(currentImageData.colorInfo.colorHexString));
+    }
+
+    if (options.cornerRadius > 0) {
+        roundCorners(tile, options.cornerRadius);
+    }
+
+    return tile;
+}
+
+// In photomosaic mode, each image data Object has a `tintColor`: the color of the target image cell it fills.
+// This function nudges `tile` towards that color by `options.tint`.
+function applyTint(tile, currentImageData, options) {
+    if (currentImageData.tintColor && options.tint > 0) {
+        tintImage(tile, currentImageData.tintColor, Math.min(1, options.tint));
+    }
+    return tile;
+}
+
+// This function does the real work for `createTile()`, without any tinting.
+async function renderTile(currentImageData, width, height, options) {
+    if (options.visualizationMode === VISUALIZATION_MODES.DOMINANT) {
+        return new Jimp({ width, height, color: parseInt(currentImageData.colorInfo.colorHexString + 'ff', 16) });
+    } else if (options.visualizationMode === VISUALIZATION_MODES.PALETTE) {
+        return createPaletteImage(currentImageData.palette, width, height);
+    }
+
+    const { image, scale } = await getTileSource(currentImageData, width, height, options);
+
+    // If we have this cool visualization mode set...
+    if (options.visualizationMode === VISUALIZATION_MODES.FOURBYFOUR) {
+        return image.resize({ w: 4, h: Math.max(1, Math.round(4 * height / width)), method: Jimp.RESIZE_BICUBIC })
+            .resize({ w: width, h: height, method: Jimp.RESIZE_NEAREST_NEIGHBOR });
+    }
+
+    // ...otherwise create a resized version of the input image according to
+    // the calculated size of its tile.
+    return fitImage(image, currentImageData, width, height, options, scale);
+}
+
+// This function resolves to `{ image, scale }`: an image to build `currentImageData`'s `width` x `height` tile from,
+// and how big it is compared to the original input. That's a copy of the `tileSource` kept by `processImages()`
+// if it has enough pixels to cover the tile, or the input read again at full size otherwise.
+async function getTileSource(currentImageData, width, height, options) {
+    const { tileSource } = currentImageData;
+    if (tileSource) {
+        const scale = tileSource.bitmap.width / currentImageData.width;
+        // A crop rect override only uses part of the image, so that part needs to cover the whole tile.
+        const region = (options.cropRects && options.cropRects[currentImageData.imageFilename]) || currentImageData;
+        const neededScale = Math.max(width / region.width, height / region.height);
+        // Allow a pixel of rounding error.
+        if (neededScale * currentImageData.width <= tileSource.bitmap.width + 1 && neededScale * currentImageData.height <= tileSource.bitmap.height + 1) {
+            return { image: tileSource.clone(), scale };
         }
+    }
+
+    return { image: await readInputImage(currentImageData.input, options), scale: 1 };
+}
+
+// This function resizes a `Jimp` image to `width` x `height` according to `options.fit`,
+// and records the part of the source image that was used as `currentImageData.cropRect`.
+// `image` is the source image shrunk by `scale`, but `cropRect`s are always in the source image's own pixels.
+// A crop rect in `options.cropRects`, keyed by `imageFilename`, always wins over `options.fit`.
+function fitImage(image, currentImageData, width, height, options, scale = 1) {
+    const imageWidth = scale === 1 ? image.bitmap.width : currentImageData.width;
+    const imageHeight = scale === 1 ? image.bitmap.height : currentImageData.height;
+    const cropRectOverride = options.cropRects && options.cropRects[currentImageData.imageFilename];
+    // This function turns a crop rect in source image pixels into one in `image`'s pixels.
+    const toImagePixels = (rect) => {
+        const x = Math.min(image.bitmap.width - 1, Math.round(rect.x * scale));
+        const y = Math.min(image.bitmap.height - 1, Math.round(rect.y * scale));
+        return {
+            x,
+            y,
+            w: Math.max(1, Math.min(image.bitmap.width - x, Math.round(rect.width * scale))),
+            h: Math.max(1, Math.min(image.bitmap.height - y, Math.round(rect.height * scale)))
+        };
+    };
+
+    if (cropRectOverride) {
+        // Keep the override inside the image, in case the file has changed since the rect was written.
+        const x = Math.max(0, Math.min(imageWidth - 1, Math.round(cropRectOverride.x)));
+        const y = Math.max(0, Math.min(imageHeight - 1, Math.round(cropRectOverride.y)));
+        currentImageData.cropRect = {
+            x,
+            y,
+            width: Math.max(1, Math.min(imageWidth - x, Math.round(cropRectOverride.width))),
+            height: Math.max(1, Math.min(imageHeight - y, Math.round(cropRectOverride.height)))
+        };
+        // If the override's aspect ratio doesn't match the tile, `cover()` trims what's left over around the center.
+        return image.crop(toImagePixels(currentImageData.cropRect)).cover({ w: width, h: height });
+    }
+
+    if (options.fit === FIT_MODES.CONTAIN) {
+        currentImageData.cropRect = { x: 0, y: 0, width: imageWidth, height: imageHeight };
+
+        // This is what `scaleToFit()` does, but measured on the source image, since a shrunk `image`'s
+        // aspect ratio can be a little off from the source's.
+        const fitScale = width / height > imageWidth / imageHeight ? height / imageHeight : width / imageWidth;
+        image.resize({ w: Math.round(imageWidth * fitScale) || 1, h: Math.round(imageHeight * fitScale) || 1 });
+        const tile = new Jimp({ width, height, color: parseHexColor(options.background) });
+        return tile.composite(image, Math.round((width - image.bitmap.width) / 2), Math.round((height - image.bitmap.height) / 2));
+    } else if (options.fit === FIT_MODES.SMART) {
+        const cropRect = getSmartCropRect(image, width, height);
+        currentImageData.cropRect = {
+            x: Math.round(cropRect.x / scale),
+            y: Math.round(cropRect.y / scale),
+            width: Math.min(imageWidth, Math.round(cropRect.width / scale)),
+            height: Math.min(imageHeight, Math.round(cropRect.height / scale))
+        };
 
-        // If the user didn't specify _either_ `--numRows` _or_ `--numColumns`,
-        // we want the output image to be a square.
-        let numBoth = Math.ceil(Math.sqrt(numInputImages));
-        argv.numRows = numBoth;
-        argv.numColumns = numBoth;
+        return image.crop({ x: cropRect.x, y: cropRect.y, w: cropRect.width, h: cropRect.height }).resize({ w: width, h: height });
     }
+
+    // We use the `cover()` method here. This will ensure there is no
+    // letterboxing in any of the images present in the output image grid.
+    currentImageData.cropRect = getCoverCropRect(imageWidth, imageHeight, width, height);
+    return image.cover({ w: width, h: height });
 }
 
-// This is our main script entry point.
-function createColorSortedImageGrid() {
-    // Get all the filenames from our input directory.
-    let imageFilenames = fs.readdirSync(argv.inputDirectory);
-    // Discard all files in the input directory that aren't JPGs or PNGs.
-    imageFilenames = imageFilenames.filter((current) => { return (current.toLowerCase().indexOf('.jpg') > -1 || current.toLowerCase().indexOf('.png') > -1); });
+// This function splits `sortParameter` into its list of sort keys.
+// `sortParameter` may be a single sort parameter, a comma-separated list like `hue,value`, or an array.
+function getSortParameters(sortParameter) {
+    const sortParameters = (Array.isArray(sortParameter) ? sortParameter : String(sortParameter).split(','))
+        .map((parameter) => { return parameter.trim(); })
+        .filter((parameter) => { return parameter.length > 0; });
 
     // Uh oh! Error! Stinky!
-    if (imageFilenames.length === 0) {
-        console.error(`There are no \`.jpg\` or \`.png\` images inside ${argv.inputDirectory}! Quitting...`);
-        return;
+    sortParameters.forEach((parameter) => {
+        if (!Object.values(SORT_PARAMETERS).includes(parameter)) {
+            throw new Error(`\`${parameter}\` isn't a sort parameter! Choose from: ${Object.values(SORT_PARAMETERS).join(', ')}`);
+        }
+    });
+    if (sortParameters.length === 0) {
+        throw new Error(`There's nothing to sort by! Choose at least one of: ${Object.values(SORT_PARAMETERS).join(', ')}`);
     }
 
-    // This does exactly what the logs say...
-    console.log(`Detecting number of columns and number of rows in output image...`);
-    setNumRowsAndNumCols(imageFilenames.length);
-    console.log(`Done!\nNumber of input images: ${imageFilenames.length}\nNumber of columns: ${argv.numColumns}\nNumber of rows: ${argv.numRows}\n`);
+    return sortParameters;
+}
 
-    // `processImages` will get us our specially-formatted, unsorted `imageDataArray`.
-    processImages(imageFilenames)
-        .then((imageDataArray) => {
-            console.log(`\nImages processed successfully! Sorting images into \`sortedImageArray\`...`);
-
-            // Sort the `imageDataArray` by the specified sort parameter.
-            imageDataArray.sort((a, b) => {
-                if (argv.sortParameter === SORT_PARAMETERS.FILENAME) {
-                    return a.imageFilename.localeCompare(b.imageFilename);
-                } else {
-                    return a.colorInfo[argv.sortParameter] - b.colorInfo[argv.sortParameter];
-                }
-            });
-            // Now we have a properly-sorted array, where each element in the array contains an Object.
-            // Not quite what we want...
-
-            // Build a pretty ASCII table for the logs
-            // c:
-            let sortedImageArray = [];
-            let table = new AsciiTable('Image Information - Dominant Color');
-            let tableHeadings = [];
-            if (argv.sortParameter === SORT_PARAMETERS.FILENAME) {
-                tableHeadings.push(`${argv.sortParameter}*`);
-            } else {
-                Object.values(SORT_PARAMETERS).forEach((parameter) => {
-                    if (argv.sortParameter === parameter) {
-                        tableHeadings.push(`${parameter}*`);
-                    } else {
-                        tableHeadings.push(parameter);
-                    }
-                });
+// This function returns the set of sort parameters that `options.reverse` flips to descending order.
+// `reverse` may be `true` to flip every sort parameter, or a comma-separated list (or array) of the ones to flip.
+function getReversedSortParameters(options) {
+    if (options.reverse === true) {
+        return new Set(getSortParameters(options.sortParameter));
+    } else if (!options.reverse) {
+        return new Set();
+    }
+    return new Set(getSortParameters(options.reverse));
+}
+
+// This function returns the value of one sort parameter for one image.
+// Hues are rotated by `options.hueOffset` degrees, so the color wheel can start somewhere other than red.
+function getSortValue(currentImageData, sortParameter, options) {
+    if (sortParameter === SORT_PARAMETERS.FILENAME) {
+        return currentImageData.imageFilename;
+    }
+
+    const sortValue = currentImageData.colorInfo[sortParameter];
+    if (HUE_SORT_PARAMETERS.includes(sortParameter) && options.hueOffset) {
+        return ((sortValue - options.hueOffset) % 360 + 360) % 360;
+    }
+    return sortValue;
+}
+
+// This function sorts a specially-formatted `imageDataArray` by the specified sort parameters.
+// Ties on the first sort parameter are broken by the second, and so on.
+// If `options.greyThreshold` is set, images with a CIELCh `chroma` below that are pulled out into their own group,
+// sorted from dark to light, and placed at the start or end according to `options.greyPlacement`.
+// It returns a new array and leaves the input array untouched.
+function sortImageDataArray(imageDataArray, options) {
+    options = resolveOptions(options);
+    const sortParameters = getSortParameters(options.sortParameter);
+    const reversedSortParameters = getReversedSortParameters(options);
+
+    const compare = (a, b, parameters) => {
+        for (const parameter of parameters) {
+            const aValue = getSortValue(a, parameter, options);
+            const bValue = getSortValue(b, parameter, options);
+            const difference = parameter === SORT_PARAMETERS.FILENAME ? aValue.localeCompare(bValue) : aValue - bValue;
+            if (difference !== 0) {
+                return reversedSortParameters.has(parameter) ? -difference : difference;
+            }
+        }
+        return 0;
+    };
+
+    if (!(options.greyThreshold > 0)) {
+        return imageDataArray.slice().sort((a, b) => { return compare(a, b, sortParameters); });
+    }
+
+    // Near-grey colors have a meaningless hue, which would otherwise scatter them among the reds.
+    // We use chroma rather than saturation, since very dark colors can be highly "saturated" while looking black.
+    const isGrey = (currentImageData) => { return currentImageData.colorInfo.chroma < options.greyThreshold; };
+    const colors = imageDataArray.filter((currentImageData) => { return !isGrey(currentImageData); })
+        .sort((a, b) => { return compare(a, b, sortParameters); });
+    const greys = imageDataArray.filter(isGrey)
+        .sort((a, b) => { return compare(a, b, [SORT_PARAMETERS.VALUE, SORT_PARAMETERS.FILENAME]); });
+
+    return options.greyPlacement === GREY_PLACEMENTS.START ? greys.concat(colors) : colors.concat(greys);
+}
+
+// This function returns the { row, column } grid position of each image in a sorted `imageDataArray`,
+// according to `options.sortOrder`. `options` must contain `numRows` and `numColumns`.
+function getGridPositions(sortedImageDataArray, options) {
+    options = resolveOptions(options);
+    const { numRows, numColumns } = options;
+
+    switch (options.sortOrder) {
+        case SORT_ORDERS.ROW_MAJOR:
+            return layouts.getRowMajorPositions(numRows, numColumns);
+        case SORT_ORDERS.DIAGONAL:
+            return layouts.getDiagonalPositions(numRows, numColumns);
+        case SORT_ORDERS.SERPENTINE:
+            return layouts.getSerpentinePositions(numRows, numColumns);
+        case SORT_ORDERS.HILBERT:
+            return layouts.getHilbertPositions(numRows, numColumns);
+        case SORT_ORDERS.ANNEALED:
+            // Start from the Hilbert layout of the 1D sort, then let the annealer smooth things out in 2D.
+            return layouts.annealPositions(
+                sortedImageDataArray.map((currentImageData) => { return currentImageData.colorInfo.oklab; }),
+                layouts.getHilbertPositions(numRows, numColumns),
+                numRows,
+                numColumns
+            );
+        default:
+            return layouts.getColumnMajorPositions(numRows, numColumns);
+    }
+}
+
+// This function returns the caption font for tiles about `tileWidth` pixels wide,
+// or `undefined` if `options.caption` is turned off.
+async function getCaptionFont(tileWidth, options) {
+    if (!options.caption || options.caption === CAPTIONS.NONE) {
+        return undefined;
+    }
+    return loadCaptionFont(tileWidth, parseHexColor(options.background));
+}
+
+// This function returns the pixel rectangle of every cell in a grid.
+// `positions` contains the { row, column } grid position of each image; the first `numImages` of them are filled.
+// `options` must contain `numRows`, `numColumns`, `pxPerImage`, and `heightScale`, and may contain the
+// `captionHeight` to leave free under each tile.
+// Returns `{ rects, emptyRects, width, height }`, where `rects` contains one { x, y, width, height } per image
+// and `emptyRects` contains one per cell that doesn't have an image.
+function getGridRects(positions, numImages, options) {
+    const { numRows, numColumns, pxPerImage, heightScale, gutter, margin } = options;
+    const captionHeight = options.captionHeight || 0;
+    const spacing = { gutter, margin, captionHeight };
+
+    const filledPositions = positions.slice(0, numImages);
+    const rects = filledPositions.map((position) => { return getTileRect(position, pxPerImage, heightScale, spacing); });
+
+    const filledCells = new Set(filledPositions.map((position) => { return `${position.row},${position.column}`; }));
+    let emptyPositions = [];
+    for (let row = 0; row < numRows; row++) {
+        for (let column = 0; column < numColumns; column++) {
+            if (!filledCells.has(`${row},${column}`)) {
+                emptyPositions.push({ row, column });
             }
-            table.setHeading(tableHeadings);
-            imageDataArray.forEach((currentImageData) => {
-                if (argv.sortParameter === SORT_PARAMETERS.FILENAME) {
-                    table.addRow(currentImageData.imageFilename);
-                } else {
-                    table.addRow(currentImageData.imageFilename, currentImageData.colorInfo.hue, currentImageData.colorInfo.saturation, currentImageData.colorInfo.value, currentImageData.colorInfo.luma.toFixed(2));
+        }
+    }
+
+    // If every empty cell is in the same row (or column), slide the images in that row (or column) to its middle.
+    // That's the case for the row-major, column-major, and serpentine sort orders.
+    if (options.emptyCells === EMPTY_CELLS.CENTER && emptyPositions.length > 0) {
+        const centerLine = (lineKey, otherKey, numCells, pitch, rectKey) => {
+            const line = emptyPositions[0][lineKey];
+            const indices = [];
+            filledPositions.forEach((position, index) => {
+                if (position[lineKey] === line) {
+                    indices.push(index);
                 }
-                // Push each `outputImage` into our `sortedImageArray`.
-                // The `sortedImageArray` is what will actually be parsed by our
-                // `createOutputGrid()` function.
-                sortedImageArray.push(currentImageData.outputImage);
             });
+            if (indices.length === 0) {
+                return;
+            }
+
+            const firstCell = Math.min(...indices.map((index) => { return filledPositions[index][otherKey]; }));
+            const shift = Math.round(((numCells - indices.length) / 2 - firstCell) * pitch);
+            indices.forEach((index) => { rects[index][rectKey] += shift; });
+        };
 
-            // Pretty table. C:
-            console.log(table.toString());
+        if (new Set(emptyPositions.map((position) => { return position.row; })).size === 1) {
+            centerLine('row', 'column', numColumns, pxPerImage + gutter, 'x');
+        } else if (new Set(emptyPositions.map((position) => { return position.column; })).size === 1) {
+            centerLine('column', 'row', numRows, getTileHeight(pxPerImage, heightScale) + captionHeight + gutter, 'y');
+        }
+        emptyPositions = [];
+    }
 
-            console.log(`Sorted!`);
+    return {
+        rects,
+        emptyRects: emptyPositions.map((position) => { return getTileRect(position, pxPerImage, heightScale, spacing); }),
+        width: 2 * margin + numColumns * pxPerImage + (numColumns - 1) * gutter,
+        height: 2 * margin + numRows * (getTileHeight(pxPerImage, heightScale) + captionHeight) + (numRows - 1) * gutter
+    };
+}
 
-            // We're getting close...!
+// If `options.emptyCells` is `swatch`, this function returns a `{ rect, color }` for each of `emptyRects`,
+// where `color` is the `Jimp` color of the closest image. Otherwise, it returns an empty array.
+// `rects` contains the pixel rectangle of each element of `sortedImageDataArray`.
+function getEmptyCellSwatches(sortedImageDataArray, rects, emptyRects, options) {
+    if (options.emptyCells !== EMPTY_CELLS.SWATCH || !emptyRects) {
+        return [];
+    }
 
-            if (argv["outputFilename"] === "table") {
+    const coloredIndices = sortedImageDataArray
+        .map((currentImageData, index) => { return currentImageData.colorInfo ? index : -1; })
+        .filter((index) => { return index !== -1; });
 
-            } else if (argv["outputFilename"] === "files") {
-                let outputImageFolder = `./output/`;
-                console.log(`\nWriting output images in numeric order to \`${outputImageFolder}<n>.png\`...`);
-                for (let i = 0; i < sortedImageArray.length; i++) {
-                    sortedImageArray[i].write(`${outputImageFolder}${(i + 1).toString().padStart(sortedImageArray.length.toString().length, '0')}.png`);
-                }
-                console.log(`Done! Find your color-sorted image files inside:\n\n${"*".repeat(outputImageFolder.length + 4)}\n\n* ${outputImageFolder} *\n\n${"*".repeat(outputImageFolder.length + 4)}\n`);
-            } else {
-                createOutputGrid(sortedImageArray)
-                    .then((outputJimpImage) => {
-                        let outputImageFilename = argv["outputFilename"];
-                        // Determine a nice and fancy output image filename if the user didn't
-                        // specify one manually.
-                        if (!outputImageFilename) {
-                            outputImageFilename = `./output/${Date.now()}_${argv.numColumns}x${argv.numRows}_${argv.sortOrder}_${argv.sortParameter}_${argv.visualizationMode}.png`
-                        }
-                        console.log(`\nWriting output image to \`${outputImageFilename}\`...`);
-                        outputJimpImage.write(outputImageFilename);
-                        console.log(`Done! Find your color-sorted image grid at:\n\n${"*".repeat(outputImageFilename.length + 4)}\n\n* ${outputImageFilename} *\n\n${"*".repeat(outputImageFilename.length + 4)}\n`);
-                    })
-                    .catch((error) => {
-                        console.error(`Error when processing images! Error:\n${error}`);
-                    });
+    const swatches = [];
+    emptyRects.forEach((emptyRect) => {
+        let closestIndex = -1;
+        let closestDistance = Infinity;
+        coloredIndices.forEach((index) => {
+            const distance = Math.hypot(rects[index].x - emptyRect.x, rects[index].y - emptyRect.y);
+            if (distance < closestDistance) {
+                closestIndex = index;
+                closestDistance = distance;
             }
-        })
-        .catch((error) => {
-            console.error(`Error when processing images! Error:\n${error}`);
         });
+        if (closestIndex !== -1) {
+            swatches.push({ rect: emptyRect, color: parseHexColor(sortedImageDataArray[closestIndex].colorInfo.colorHexString) });
+        }
+    });
+    return swatches;
+}
 
+// This function returns a `Jimp` image the size of `rect`, filled with `color`, with its corners rounded according to `options`.
+function createSwatch(rect, color, options) {
+    const swatch = new Jimp({ width: rect.width, height: rect.height, color });
+    if (options.cornerRadius > 0) {
+        roundCorners(swatch, options.cornerRadius);
+    }
+    return swatch;
 }
 
-createColorSortedImageGrid();
+// This function composites a sorted `imageDataArray` into one output image.
+// Each image's tile is built with `createOutputImage()`, composited, and then let go right away,
+// so only `options.concurrency` tiles (plus the output image) are ever in memory at once.
+// Elements of `sortedImageDataArray` may also be ready-made `Jimp` tiles.
+// `options` must contain `numRows`, `numColumns`, `pxPerImage`, `heightScale`, and either `sortOrder`
+// or `positions`, an array containing the { row, column } grid position of each image.
+// `options` may instead contain `rects`, an array containing the { x, y, width, height } pixel rectangle of each image,
+// along with the total `width` and `height` of the output image and, for grids, the `emptyRects` of the unfilled cells.
+async function createOutputGrid(sortedImageDataArray, options) {
+    options = resolveOptions(options);
+    const { logger, pxPerImage } = options;
+
+    let { rects, emptyRects, width, height } = options;
+    const captionFont = await getCaptionFont(options.layout === LAYOUTS.GRID ? pxPerImage : (options.rowHeight || options.columnWidth || pxPerImage), options);
+
+    if (!rects) {
+        if (!options.positions && options.sortOrder === SORT_ORDERS.ANNEALED) {
+            throw new Error(`The \`${SORT_ORDERS.ANNEALED}\` sort order needs color data. Pass \`positions\` from \`getGridPositions()\`.`);
+        }
+
+        const positions = options.positions || getGridPositions(sortedImageDataArray, options);
+        ({ rects, emptyRects, width, height } = getGridRects(positions, sortedImageDataArray.length, Object.assign({}, options, {
+            captionHeight: captionFont ? getCaptionHeight(captionFont) : 0
+        })));
+    }
+
+    if (options.layout === LAYOUTS.GRID || options.target) {
+        logger.log(`\nCompositing output image in ${options.target ? 'mosaic' : options.sortOrder} order...`);
+    } else {
+        logger.log(`\nCompositing output image in ${options.layout} layout...`);
+    }
+
+    // Create a new `Jimp` image big enough to hold all of our properly-resized input images.
+    const outputImage = new Jimp({ width, height, color: parseHexColor(options.background) });
+
+    if (sortedImageDataArray.length > rects.length) {
+        logger.error(`There are more images than there are cells in the output grid! Only the first ${rects.length} images will be composited.`);
+    }
+
+    const numTiles = Math.min(sortedImageDataArray.length, rects.length);
+    const reportProgress = createProgressReporter(`Compositing images`, numTiles, options);
+
+    // The same input can appear more than once, i.e. in a photomosaic.
+    // Remember those tiles until their last use, so that we don't read the same input over and over.
+    const tilesToReuse = new Map();
+    sortedImageDataArray.slice(0, numTiles).forEach((currentImageData) => {
+        if (!(currentImageData instanceof Jimp)) {
+            const reusedTile = tilesToReuse.get(currentImageData.input) || { remainingUses: 0 };
+            reusedTile.remainingUses++;
+            tilesToReuse.set(currentImageData.input, reusedTile);
+        }
+    });
+
+    // Repeated inputs only happen in grids, where every tile is the same size, so they can always share a tile.
+    const getTile = async (currentImageData, rect) => {
+        if (currentImageData instanceof Jimp) {
+            return currentImageData;
+        }
+
+        const reusedTile = tilesToReuse.get(currentImageData.input);
+        if (reusedTile.remainingUses === 1 && !reusedTile.tilePromise) {
+            return createTile(currentImageData, rect.width, rect.height, options);
+        }
+
+        if (!reusedTile.tilePromise) {
+            const borderWidth = getBorderWidth(rect.width, rect.height, options);
+            reusedTile.renderedImageData = currentImageData;
+            reusedTile.tilePromise = renderTile(currentImageData, rect.width - 2 * borderWidth, rect.height - 2 * borderWidth, options);
+        }
+        const tile = await reusedTile.tilePromise;
+        // Only the image data that rendered the tile got a `cropRect`, but every cell that reuses the tile used the same crop.
+        currentImageData.cropRect = reusedTile.renderedImageData.cropRect;
+
+        reusedTile.remainingUses--;
+        if (reusedTile.remainingUses === 0) {
+            tilesToReuse.delete(currentImageData.input);
+        }
+
+        return finishTile(tile.clone(), currentImageData, rect.width, rect.height, options);
+    };
+
+    getEmptyCellSwatches(sortedImageDataArray.slice(0, numTiles), rects, emptyRects, options).forEach(({ rect, color }) => {
+        outputImage.composite(createSwatch(rect, color, options), rect.x, rect.y);
+    });
+
+    await mapWithConcurrency(sortedImageDataArray.slice(0, numTiles), options.concurrency, async (currentImageData, currentImageArrayIndex) => {
+        const rect = rects[currentImageArrayIndex];
+        const currentImage = await getTile(currentImageData, rect);
+
+        outputImage.composite(currentImage, rect.x, rect.y);
+        if (!(currentImageData instanceof Jimp)) {
+            if (captionFont) {
+                drawCaption(outputImage, captionFont, getCaptionText(currentImageData, options), rect);
+            }
+            // The tile is drawn, so we can let go of the shrunk copy of the image that it was made from.
+            currentImageData.tileSource = undefined;
+        }
+        reportProgress(currentImageData.imageFilename);
+    });
+
+    logger.log(`Done compositing output image!`);
+    return outputImage;
+}
+
+// This function determines how many images are present in each row and in each column
+// in the output image. It returns `{ numRows, numColumns }`.
+function setNumRowsAndNumCols(numInputImages, options) {
+    let { numRows, numColumns } = options;
+
+    // If the user specified both `numRows` and `numColumns`,
+    // we don't need to do any work.
+    if (numRows && numColumns) {
+        return { numRows, numColumns };
+    }
+
+    // If the user _only_ specified `numRows`...
+    if (numRows) {
+        return { numRows, numColumns: Math.ceil(numInputImages / numRows) };
+    }
+
+    // If the user _only_ specified `numColumns`...
+    if (numColumns) {
+        return { numRows: Math.ceil(numInputImages / numColumns), numColumns };
+    }
+
+    // If the user didn't specify _either_ `numRows` _or_ `numColumns`,
+    // we want the output image to be a square.
+    let numBoth = Math.ceil(Math.sqrt(numInputImages));
+    return { numRows: numBoth, numColumns: numBoth };
+}
+
+// This function returns the caption under an image's tile, according to `options.caption`.
+function getCaptionText(currentImageData, options) {
+    if (options.caption === CAPTIONS.COLOR && currentImageData.colorInfo) {
+        return `#${currentImageData.colorInfo.colorHexString}`;
+    }
+    return currentImageData.imageFilename;
+}
+
+// This function lays out a sorted `imageDataArray` according to `options.layout`, which must be
+// `justified` or `masonry`. Every image keeps its own aspect ratio.
+// The target row height or column width defaults to `pxPerImage`, and the output width defaults to whatever
+// makes the output image roughly square. The output image has a `margin` on every side.
+// Returns `{ rects, width, height }`.
+function getLayoutRects(sortedImageDataArray, pxPerImage, options) {
+    const { margin } = options;
+    const layoutRects = getUnmarginedLayoutRects(sortedImageDataArray, pxPerImage, options);
+
+    layoutRects.rects.forEach((rect) => {
+        rect.x += margin;
+        rect.y += margin;
+    });
+    layoutRects.width += 2 * margin;
+    layoutRects.height += 2 * margin;
+
+    return layoutRects;
+}
+
+// This function does the work for `getLayoutRects()`, ignoring `margin`.
+function getUnmarginedLayoutRects(sortedImageDataArray, pxPerImage, options) {
+    const spacing = { gutter: options.gutter, captionHeight: options.captionHeight || 0 };
+    const aspectRatios = sortedImageDataArray.map((currentImageData) => { return currentImageData.width / currentImageData.height; });
+
+    if (options.layout === LAYOUTS.JUSTIFIED) {
+        const rowHeight = options.rowHeight || pxPerImage;
+        // The total area of all images at the target row height is `rowHeight^2 * sum(aspectRatios)`.
+        const outputWidth = options.outputWidth || Math.round(rowHeight * Math.sqrt(aspectRatios.reduce((sum, aspectRatio) => { return sum + aspectRatio; }, 0)));
+        return layouts.getJustifiedRects(aspectRatios, Object.assign({ outputWidth: Math.max(outputWidth, 1), rowHeight }, spacing));
+    }
+
+    const columnWidth = options.columnWidth || pxPerImage;
+    // The total area of all images at the target column width is `columnWidth^2 * sum(1 / aspectRatios)`.
+    // Round the output width to a whole number of columns.
+    const outputWidth = options.outputWidth || columnWidth * Math.max(1, Math.round(Math.sqrt(aspectRatios.reduce((sum, aspectRatio) => { return sum + 1 / aspectRatio; }, 0))));
+    return layouts.getMasonryRects(aspectRatios, Object.assign({ outputWidth, columnWidth }, spacing));
+}
+
+// In photomosaic mode, this function determines how many images are present in each row and in each column
+// so that the output image has the same aspect ratio as the `targetWidth` x `targetHeight` target image.
+// It returns `{ numRows, numColumns }`.
+function setNumRowsAndNumColsForTarget(numInputImages, targetWidth, targetHeight, options) {
+    let { numRows, numColumns } = options;
+    // Each tile is `heightScale` times taller than it is wide, so we need fewer rows for taller tiles.
+    const rowsPerColumn = targetHeight / (targetWidth * options.heightScale);
+
+    if (numRows && numColumns) {
+        return { numRows, numColumns };
+    }
+
+    if (numRows) {
+        return { numRows, numColumns: Math.max(1, Math.round(numRows / rowsPerColumn)) };
+    }
+
+    if (numColumns) {
+        return { numRows: Math.max(1, Math.round(numColumns * rowsPerColumn)), numColumns };
+    }
+
+    // If the user didn't specify _either_ `numRows` _or_ `numColumns`,
+    // we want about as many cells as there are input images. We round down so that
+    // every input image can be used once without needing to reuse any of them.
+    numColumns = Math.max(1, Math.floor(Math.sqrt(numInputImages / rowsPerColumn)));
+    return { numRows: Math.max(1, Math.floor(numColumns * rowsPerColumn)), numColumns };
+}
+
+// This function builds a photomosaic out of `imageDataArray`.
+// `cellColors` contains the { r, g, b } color of each target image cell in row-major order, from `getCellColors()`.
+// It returns one image data Object per cell, in row-major order. Each one is a copy of the image data
+// that best matches that cell, along with the cell's `gridPosition` and `tintColor`.
+function arrangeMosaic(imageDataArray, cellColors, options) {
+    options = resolveOptions(options);
+    const { numColumns } = options;
+
+    const assignments = assignCandidatesToCells(
+        cellColors,
+        imageDataArray.map((currentImageData) => { return currentImageData.colorInfo.oklab; }),
+        { maxReuse: options.maxReuse }
+    );
+
+    return assignments.map((imageIndex, cellIndex) => {
+        return Object.assign({}, imageDataArray[imageIndex], {
+            "gridPosition": { row: Math.floor(cellIndex / numColumns), column: cellIndex % numColumns },
+            "tintColor": cellColors[cellIndex]
+        });
+    });
+}
+
+// This function returns the inputs that `options` asks for: `options.inputs` if it's set, then every path in
+// `options.inputList`, or else every supported image inside `options.inputDirectory`.
+function getInputs(options) {
+    // Config files may give a single pattern instead of an array.
+    const include = [].concat(options.include || []);
+    const exclude = [].concat(options.exclude || []);
+
+    let inputs;
+    if (options.inputs) {
+        inputs = options.inputs;
+    } else if (options.inputList) {
+        inputs = readInputList(options.inputList);
+    } else {
+        inputs = getInputImagePaths(options.inputDirectory, { recursive: options.recursive, include, exclude });
+    }
+
+    // Uh oh! Error! Stinky!
+    if (inputs.length === 0) {
+        if (options.inputList) {
+            throw new Error(`There are no images listed in ${options.inputList}!`);
+        }
+        throw new Error(`There are no images (${SUPPORTED_EXTENSIONS.join(', ')}) inside ${options.inputDirectory}${include.length > 0 || exclude.length > 0 ? ' that match your `include` and `exclude` patterns' : ''}!`);
+    }
+
+    return inputs;
+}
+
+// This function builds an ASCII table of the near-duplicates that `processImages()` dropped, and the images it kept instead.
+function createDuplicatesTable(duplicates) {
+    const table = new AsciiTable('Dropped Near-Duplicates');
+    table.setHeading('dropped', 'kept instead', 'distance');
+    duplicates.forEach(({ kept, dropped }) => {
+        dropped.forEach((currentImageData) => {
+            table.addRow(currentImageData.imageFilename, kept.imageFilename, currentImageData.distance);
+        });
+    });
+    return table;
+}
+
+// This function builds an ASCII table of the images that `processImages()` had to skip, and why.
+function createSkippedTable(skipped) {
+    const table = new AsciiTable('Skipped Images');
+    table.setHeading('filename', 'error');
+    skipped.forEach(({ imageFilename, error }) => {
+        table.addRow(imageFilename, error);
+    });
+    return table;
+}
+
+// This function builds an ASCII table of what changed between two `imageDataArray`s, for the logs.
+// Images are matched up by `input`. Each row says whether an image was added, removed, recolored, or moved in the sort.
+function createInfoTableDiff(previousImageDataArray, imageDataArray) {
+    const table = new AsciiTable('Changes Since Last Build');
+    table.setHeading('change', 'filename', 'position', 'color');
+
+    const getColor = (currentImageData) => { return currentImageData.colorInfo ? `#${currentImageData.colorInfo.colorHexString}` : ''; };
+    const previousIndices = new Map(previousImageDataArray.map((currentImageData, index) => { return [currentImageData.input, index]; }));
+    const indices = new Map(imageDataArray.map((currentImageData, index) => { return [currentImageData.input, index]; }));
+
+    imageDataArray.forEach((currentImageData, index) => {
+        if (!previousIndices.has(currentImageData.input)) {
+            table.addRow('added', currentImageData.imageFilename, index + 1, getColor(currentImageData));
+            return;
+        }
+
+        const previousIndex = previousIndices.get(currentImageData.input);
+        const previousColor = getColor(previousImageDataArray[previousIndex]);
+        if (previousColor !== getColor(currentImageData)) {
+            table.addRow('recolored', currentImageData.imageFilename, `${previousIndex + 1} -> ${index + 1}`, `${previousColor} -> ${getColor(currentImageData)}`);
+        } else if (previousIndex !== index) {
+            table.addRow('moved', currentImageData.imageFilename, `${previousIndex + 1} -> ${index + 1}`, getColor(currentImageData));
+        }
+    });
+
+    previousImageDataArray.forEach((currentImageData, previousIndex) => {
+        if (!indices.has(currentImageData.input)) {
+            table.addRow('removed', currentImageData.imageFilename, previousIndex + 1, getColor(currentImageData));
+        }
+    });
+
+    if (table.getRows().length === 0) {
+        table.addRow('(none)', '', '', '');
+    }
+
+    return table;
+}
+
+// Build a pretty ASCII table for the logs
+// c:
+function createInfoTable(sortedImageDataArray, options) {
+    let table = new AsciiTable('Image Information - Dominant Color');
+    let tableHeadings = [];
+    const sortParameters = getSortParameters(options.sortParameter);
+    if (options.sortParameter === SORT_PARAMETERS.FILENAME) {
+        tableHeadings.push(`${options.sortParameter}*`);
+    } else {
+        Object.values(SORT_PARAMETERS).forEach((parameter) => {
+            if (sortParameters.includes(parameter)) {
+                tableHeadings.push(`${parameter}*`);
+            } else {
+                tableHeadings.push(parameter);
+            }
+        });
+    }
+    table.setHeading(tableHeadings);
+    sortedImageDataArray.forEach((currentImageData) => {
+        if (options.sortParameter === SORT_PARAMETERS.FILENAME) {
+            table.addRow(currentImageData.imageFilename);
+        } else {
+            const row = [currentImageData.imageFilename];
+            Object.values(SORT_PARAMETERS).forEach((parameter) => {
+                if (parameter === SORT_PARAMETERS.FILENAME) {
+                    return;
+                }
+
+                const parameterValue = currentImageData.colorInfo[parameter];
+                // `hue`, `saturation`, and `value` are already rounded.
+                // The OKLab values are small, so they get an extra decimal place.
+                row.push(Number.isInteger(parameterValue) ? parameterValue : +parameterValue.toFixed(Math.abs(parameterValue) < 1 ? 3 : 2));
+            });
+            table.addRow(row);
+        }
+    });
+
+    return table;
+}
+
+// This is our main library entry point.
+// `options.inputs` may contain file paths and/or `Buffer`s. If it's not specified, the images listed in
+// `options.inputList` or found inside `options.inputDirectory` are used instead. See `getInputs()`.
+// Set `options.composite` to `false` to skip compositing the output grid image.
+// Set `options.target` to the path of an image to build a photomosaic of that image instead of a color-sorted grid.
+// In that case, `imageDataArray` contains one element per grid cell, and images may appear more than once.
+// Resolves to `{ image, imageDataArray, numRows, numColumns, pxPerImage, skipped, duplicates }`, where `imageDataArray` is sorted
+// and each of its elements has a `gridPosition` containing its { row, column } in the output grid.
+// Images that couldn't be read are left out of the grid and listed in `skipped`.
+// Set `options.dedupe` to leave near-duplicates out of the grid, too. They're listed in `duplicates`.
+async function createGrid(options) {
+    options = resolveOptions(options);
+    const { logger } = options;
+
+    const inputs = getInputs(options);
+
+    // `processImages` will get us our specially-formatted, unsorted `imageDataArray`.
+    // We lay out the grid afterwards, since any images that can't be read won't be in it.
+    const { imageDataArray, pxPerImage, skipped, duplicates } = await processImages(inputs, options);
+
+    // In photomosaic mode, the target image decides the shape of the grid.
+    // We only need the average color of each of its cells, so we can let go of the target image right away.
+    let targetImage;
+    if (options.target) {
+        logger.log(`Reading photomosaic target \`${options.target}\`...`);
+        targetImage = await readInputImage(options.target, options);
+    }
+
+    // This does exactly what the logs say...
+    logger.log(`Detecting number of columns and number of rows in output image...`);
+    let { numRows, numColumns } = targetImage ?
+        setNumRowsAndNumColsForTarget(imageDataArray.length, targetImage.bitmap.width, targetImage.bitmap.height, options) :
+        setNumRowsAndNumCols(imageDataArray.length, options);
+    logger.log(`Done!\nNumber of input images: ${imageDataArray.length}\nNumber of columns: ${numColumns}\nNumber of rows: ${numRows}\n`);
+
+    let cellColors;
+    if (targetImage) {
+        cellColors = getCellColors(targetImage, numRows, numColumns);
+        targetImage = undefined;
+    }
+
+    logger.log(`\nImages processed successfully! Sorting images into \`sortedImageArray\`...`);
+    let sortedImageDataArray = sortImageDataArray(imageDataArray, options);
+    logger.log(createInfoTable(sortedImageDataArray, options).toString());
+    logger.log(`Sorted!`);
+
+    // Captions need room under every tile, so we need to know how tall they are before laying anything out.
+    // Photomosaics are always grids of `pxPerImage` tiles, whatever the `layout`. (The target image is gone by now,
+    // but `cellColors` tells us that we're making one.)
+    const captionFont = await getCaptionFont(options.layout === LAYOUTS.GRID || cellColors ? pxPerImage : (options.rowHeight || options.columnWidth || pxPerImage), options);
+    const captionHeight = captionFont ? getCaptionHeight(captionFont) : 0;
+
+    let positions;
+    let layoutRects;
+    if (cellColors) {
+        logger.log(`\nMatching input images to photomosaic cells...`);
+        sortedImageDataArray = arrangeMosaic(sortedImageDataArray, cellColors, Object.assign({}, options, { numRows, numColumns }));
+        positions = sortedImageDataArray.map((currentImageData) => { return currentImageData.gridPosition; });
+        logger.log(`Done! Used ${new Set(sortedImageDataArray.map((currentImageData) => { return currentImageData.input; })).size} of ${imageDataArray.length} input images to fill ${positions.length} cells.`);
+    } else if (options.layout !== LAYOUTS.GRID) {
+        // Figure out where each image goes in the justified or masonry layout.
+        layoutRects = getLayoutRects(sortedImageDataArray, pxPerImage, Object.assign({}, options, { captionHeight }));
+        sortedImageDataArray.forEach((currentImageData, index) => {
+            const rect = layoutRects.rects[index];
+            currentImageData["gridPosition"] = { row: rect.row, column: rect.column };
+            currentImageData["outputRect"] = { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+        });
+        numRows = Math.max(...layoutRects.rects.map((rect) => { return rect.row; })) + 1;
+        numColumns = Math.max(...layoutRects.rects.map((rect) => { return rect.column; })) + 1;
+    } else {
+        // Figure out where each image goes in the output grid.
+        positions = getGridPositions(sortedImageDataArray, Object.assign({}, options, { numRows, numColumns }));
+        sortedImageDataArray.forEach((currentImageData, index) => {
+            currentImageData["gridPosition"] = positions[index];
+        });
+    }
+
+    if (!layoutRects) {
+        // Work out where each tile goes in pixels, now that we know about gutters, margins, and captions.
+        layoutRects = getGridRects(positions, sortedImageDataArray.length, Object.assign({}, options, { numRows, numColumns, pxPerImage, captionHeight }));
+        sortedImageDataArray.forEach((currentImageData, index) => {
+            if (layoutRects.rects[index]) {
+                currentImageData["outputRect"] = layoutRects.rects[index];
+            }
+        });
+    }
+    const { width, height } = layoutRects;
+
+    let image;
+    if (options.composite !== false) {
+        image = await createOutputGrid(sortedImageDataArray, Object.assign({}, options, {
+            numRows,
+            numColumns,
+            pxPerImage,
+            positions,
+            rects: layoutRects.rects,
+            emptyRects: layoutRects.emptyRects,
+            width,
+            height
+        }));
+    }
+
+    return { image, imageDataArray: sortedImageDataArray, numRows, numColumns, pxPerImage, width, height, emptyRects: layoutRects.emptyRects, skipped, duplicates };
+}
+
+// This function lays out the grid just like `createGrid()`, but writes it as a tile pyramid instead of one big image,
+// so it works for grids far too big to fit in memory. See `PYRAMID_FORMATS`.
+// `options.pyramid` is the format, `options.tileSize` is the size of each pyramid tile, and `options.outputFilename`
+// is where to write it: `<name>.dzi` next to a `<name>_files` directory for DZI, or a `<name>` directory for XYZ.
+// Each full-resolution pyramid tile is drawn from only the input images it overlaps, and input images are read
+// one band of pyramid tiles at a time. Each smaller level is then built from the level above it.
+// Resolves to what `createGrid()` does, without an `image`, plus the `pyramid` that was written.
+// Its `imageDataArray` only holds the images that were drawn.
+async function createTilePyramid(options) {
+    options = resolveOptions(options);
+    const { logger } = options;
+
+    // Uh oh! Error! Stinky!
+    if (!Object.values(PYRAMID_FORMATS).includes(options.pyramid)) {
+        throw new Error(`\`${options.pyramid}\` isn't a tile pyramid format! Choose from: ${Object.values(PYRAMID_FORMATS).join(', ')}`);
+    }
+    if (!options.outputFilename) {
+        throw new Error(`Tile pyramids need an \`outputFilename\` to write to.`);
+    }
+
+    // Pyramids are for grids too big for memory, so we can't keep a shrunk copy of every image around, either.
+    // Each image is read again when it's time to draw it.
+    const result = await createGrid(Object.assign({}, options, { composite: false, keepTileSources: false }));
+    const { pxPerImage, width, height } = result;
+
+    // Just like `createOutputGrid()`, images that didn't get a cell in the grid are left out.
+    const imageDataArray = result.imageDataArray.filter((currentImageData) => { return currentImageData.outputRect; });
+    if (imageDataArray.length < result.imageDataArray.length) {
+        logger.error(`There are more images than there are cells in the output grid! Only the first ${imageDataArray.length} images will be drawn.`);
+    }
+    const rects = imageDataArray.map((currentImageData) => { return currentImageData.outputRect; });
+
+    const pyramid = createPyramid(options.outputFilename, width, height, { format: options.pyramid, tileSize: options.tileSize });
+    const { tileSize, maxLevel } = pyramid;
+    const { numColumns, numRows } = pyramid.levels[maxLevel];
+    logger.log(`\nWriting ${width}x${height}px ${options.pyramid.toUpperCase()} tile pyramid with ${maxLevel + 1} levels to \`${options.outputFilename}\`...`);
+    clearPyramid(pyramid);
+
+    const captionFont = await getCaptionFont(options.layout === LAYOUTS.GRID ? pxPerImage : (options.rowHeight || options.columnWidth || pxPerImage), options);
+    const captionHeight = captionFont ? getCaptionHeight(captionFont) : 0;
+    const swatches = getEmptyCellSwatches(imageDataArray, rects, result.emptyRects, options);
+    const overlaps = (rect, extraHeight, x0, y0, x1, y1) => {
+        return rect.x < x1 && rect.x + rect.width > x0 && rect.y < y1 && rect.y + rect.height + extraHeight > y0;
+    };
+
+    // Input images' tiles are kept while they're still needed by the next band of pyramid tiles, and no longer.
+    const reportProgress = createProgressReporter(`Writing full-resolution tiles`, numColumns * numRows, options);
+    const imageTiles = new Map();
+    for (let row = 0; row < numRows; row++) {
+        const y0 = row * tileSize;
+        const y1 = Math.min(height, y0 + tileSize);
+
+        const bandIndices = [];
+        rects.forEach((rect, index) => {
+            if (overlaps(rect, captionHeight, 0, y0, width, y1)) {
+                bandIndices.push(index);
+            }
+        });
+        await mapWithConcurrency(bandIndices.filter((index) => { return !imageTiles.has(index); }), options.concurrency, async (index) => {
+            imageTiles.set(index, await createTile(imageDataArray[index], rects[index].width, rects[index].height, options));
+        });
+
+        for (let column = 0; column < numColumns; column++) {
+            const region = getTileRegion(pyramid, maxLevel, column, row);
+            const tile = new Jimp({ width: region.width, height: region.height, color: parseHexColor(options.background) });
+
+            swatches.forEach(({ rect, color }) => {
+                if (overlaps(rect, 0, region.x, region.y, region.x + region.width, region.y + region.height)) {
+                    tile.composite(createSwatch(rect, color, options), rect.x - region.x, rect.y - region.y);
+                }
+            });
+            bandIndices.forEach((index) => {
+                const rect = rects[index];
+                if (!overlaps(rect, captionHeight, region.x, region.y, region.x + region.width, region.y + region.height)) {
+                    return;
+                }
+                tile.composite(imageTiles.get(index), rect.x - region.x, rect.y - region.y);
+                if (captionFont) {
+                    drawCaption(tile, captionFont, getCaptionText(imageDataArray[index], options), Object.assign({}, rect, { x: rect.x - region.x, y: rect.y - region.y }));
+                }
+            });
+
+            await writeTile(pyramid, tile, maxLevel, column, row);
+            reportProgress(`${maxLevel}/${column}_${row}`);
+        }
+
+        bandIndices.forEach((index) => {
+            if (rects[index].y + rects[index].height + captionHeight <= y1) {
+                imageTiles.delete(index);
+            }
+        });
+    }
+
+    await writeLowerLevels(pyramid, options);
+
+    if (pyramid.descriptorFilename) {
+        fs.writeFileSync(pyramid.descriptorFilename, createDZIDescriptor(pyramid));
+    }
+    logger.log(`Done writing tile pyramid!`);
+
+    return Object.assign({}, result, { imageDataArray, pyramid });
+}
+
+// This function returns the list of visualization modes or sort parameters that `createAnimation()` steps through.
+function getAnimationValues(options) {
+    let animateValues = options.animateValues;
+    if (typeof animateValues === 'string') {
+        animateValues = animateValues.split(',').map((value) => { return value.trim(); }).filter((value) => { return value.length > 0; });
+    }
+
+    if (options.animate === ANIMATION_MODES.VISUALIZATION_MODES) {
+        // By default, recreate the GIF at the top of the README!
+        animateValues = animateValues || [VISUALIZATION_MODES.NORMAL, VISUALIZATION_MODES.FOURBYFOUR, VISUALIZATION_MODES.DOMINANT];
+        animateValues.forEach((value) => {
+            if (!Object.values(VISUALIZATION_MODES).includes(value)) {
+                throw new Error(`\`${value}\` isn't a visualization mode! Choose from: ${Object.values(VISUALIZATION_MODES).join(', ')}`);
+            }
+        });
+    } else if (options.animate === ANIMATION_MODES.SORT_PARAMETERS) {
+        animateValues = animateValues || Object.values(SORT_PARAMETERS).filter((parameter) => { return parameter !== SORT_PARAMETERS.FILENAME; });
+        animateValues.forEach((value) => {
+            if (!Object.values(SORT_PARAMETERS).includes(value)) {
+                throw new Error(`\`${value}\` isn't a sort parameter! Choose from: ${Object.values(SORT_PARAMETERS).join(', ')}`);
+            }
+        });
+    }
+
+    return animateValues;
+}
+
+// This function renders several grid frames in one pass over the input images, then encodes them as an animated GIF.
+// `options.animate` decides what changes from frame to frame. See `ANIMATION_MODES`.
+// `options.animateValues` optionally lists the visualization modes or sort parameters to step through.
+// Resolves to `{ gif, frames, imageDataArray, numRows, numColumns, pxPerImage, skipped, duplicates }`, where `gif` is a `Buffer`.
+async function createAnimation(options) {
+    options = resolveOptions(options);
+    const { logger } = options;
+
+    if (!Object.values(ANIMATION_MODES).includes(options.animate)) {
+        throw new Error(`\`${options.animate}\` isn't an animation mode! Choose from: ${Object.values(ANIMATION_MODES).join(', ')}`);
+    }
+    const animateValues = getAnimationValues(options);
+
+    const inputs = getInputs(options);
+
+    // Every frame shares one analysis pass. Every kind of animation needs color data, and we need
+    // palettes too if any frame draws them. Asking `processImages()` for a color-only visualization mode gets us both.
+    const frameVisualizationModes = options.animate === ANIMATION_MODES.VISUALIZATION_MODES ? animateValues : [options.visualizationMode];
+    const analysisOptions = Object.assign({}, options, {
+        visualizationMode: frameVisualizationModes.includes(VISUALIZATION_MODES.PALETTE) ? VISUALIZATION_MODES.PALETTE : VISUALIZATION_MODES.DOMINANT
+    });
+    const { imageDataArray, pxPerImage, skipped, duplicates } = await processImages(inputs, analysisOptions);
+
+    const { numRows, numColumns } = setNumRowsAndNumCols(imageDataArray.length, options);
+    logger.log(`Number of input images: ${imageDataArray.length}\nNumber of columns: ${numColumns}\nNumber of rows: ${numRows}\n`);
+
+    const gridOptions = Object.assign({}, options, { numRows, numColumns, pxPerImage });
+    const frames = [];
+
+    // This function sorts the images, lays them out, and adds one frame showing them.
+    const addGridFrame = async (frameOptions) => {
+        const sortedImageDataArray = sortImageDataArray(imageDataArray, frameOptions);
+        const positions = getGridPositions(sortedImageDataArray, frameOptions);
+        const image = await createOutputGrid(sortedImageDataArray, Object.assign({}, frameOptions, { positions }));
+        frames.push({ image, delay: options.frameDelay });
+    };
+
+    if (options.animate === ANIMATION_MODES.VISUALIZATION_MODES) {
+        for (const visualizationMode of animateValues) {
+            logger.log(`\nRendering \`${visualizationMode}\` frame...`);
+            await addGridFrame(Object.assign({}, gridOptions, { visualizationMode }));
+        }
+    } else if (options.animate === ANIMATION_MODES.SORT_PARAMETERS) {
+        for (const sortParameter of animateValues) {
+            logger.log(`\nRendering \`${sortParameter}\` frame...`);
+            await addGridFrame(Object.assign({}, gridOptions, { sortParameter }));
+        }
+    } else {
+        // Tiles start out sorted by filename, in the same order as the final grid.
+        // The annealed layout isn't meaningful for filenames, so those start out in the default order instead.
+        const startOptions = Object.assign({}, gridOptions, {
+            sortParameter: SORT_PARAMETERS.FILENAME,
+            sortOrder: options.sortOrder === SORT_ORDERS.ANNEALED ? DEFAULT_OPTIONS.sortOrder : options.sortOrder
+        });
+        const startSortedImageDataArray = sortImageDataArray(imageDataArray, startOptions);
+        const startPositions = new Map();
+        getGridPositions(startSortedImageDataArray, startOptions).forEach((position, index) => {
+            startPositions.set(startSortedImageDataArray[index], position);
+        });
+
+        const endSortedImageDataArray = sortImageDataArray(imageDataArray, gridOptions);
+        const endPositions = getGridPositions(endSortedImageDataArray, gridOptions);
+
+        // Every frame needs every tile, so we build each tile once and keep it.
+        logger.log(`\nRendering tiles...`);
+        const tiles = await mapWithConcurrency(endSortedImageDataArray, options.concurrency, (currentImageData) => {
+            return createOutputImage(currentImageData, pxPerImage, gridOptions);
+        });
+
+        // Tweens don't have captions, but they do have gutters and margins.
+        const { width, height } = getGridRects(endPositions, endSortedImageDataArray.length, gridOptions);
+        const spacing = { gutter: options.gutter, margin: options.margin };
+        const numFrames = Math.max(1, options.tweenFrames) + 1;
+        logger.log(`Rendering ${numFrames} tween frames...`);
+        for (let frameIndex = 0; frameIndex < numFrames; frameIndex++) {
+            const t = easeInOutCubic(frameIndex / (numFrames - 1));
+            const image = new Jimp({ width, height, color: parseHexColor(options.background) });
+
+            endSortedImageDataArray.forEach((currentImageData, index) => {
+                const start = getTileRect(startPositions.get(currentImageData), pxPerImage, options.heightScale, spacing);
+                const end = getTileRect(endPositions[index], pxPerImage, options.heightScale, spacing);
+
+                image.composite(tiles[index], Math.round(start.x + (end.x - start.x) * t), Math.round(start.y + (end.y - start.y) * t));
+            });
+
+            // Hold the first and last frames. The frames in between share the same amount of time.
+            const isKeyFrame = frameIndex === 0 || frameIndex === numFrames - 1;
+            frames.push({ image, delay: isKeyFrame ? options.frameDelay : options.frameDelay / (numFrames - 2 || 1) });
+        }
+    }
+
+    logger.log(`\nEncoding ${frames.length} frames as an animated GIF...`);
+    const gif = await encodeAnimatedGif(frames, { loop: options.loop });
+    logger.log(`Done encoding!`);
+
+    return { gif, frames, imageDataArray, numRows, numColumns, pxPerImage, skipped, duplicates };
+}
+
+// This function reads crop rect overrides from a JSON file.
+// The file can either map each `imageFilename` to an { x, y, width, height } rect,
+// or be a manifest written by `--manifest`, so that you can tweak a manifest's `cropRect`s and feed it straight back in.
+function loadCropRects(cropRectsFilename) {
+    const cropRectsFile = JSON.parse(fs.readFileSync(cropRectsFilename, 'utf8'));
+    if (!Array.isArray(cropRectsFile.tiles)) {
+        return cropRectsFile;
+    }
+
+    const cropRects = {};
+    cropRectsFile.tiles.forEach((tile) => {
+        if (tile.cropRect) {
+            cropRects[tile.imageFilename] = tile.cropRect;
+        }
+    });
+    return cropRects;
+}
+
+// This function analyses every input image and builds a color report about the whole collection,
+// without compositing anything. That makes it a cheap way to audit a photo set before making a grid.
+// Returns `{ report, imageDataArray, skipped, duplicates }`, where `imageDataArray` is sorted. Use `createReportCSV()` or
+// `createReportHTML()` to turn the report into something other than JSON.
+async function createColorReport(options) {
+    options = resolveOptions(options);
+    const { logger } = options;
+
+    const inputs = getInputs(options);
+
+    // Reports always need color data, even when sorting by filename.
+    // Asking `processImages()` for a color-only visualization mode gets us that.
+    const analysisOptions = Object.assign({}, options, {
+        visualizationMode: options.visualizationMode === VISUALIZATION_MODES.NORMAL ? VISUALIZATION_MODES.DOMINANT : options.visualizationMode
+    });
+    const { imageDataArray, skipped, duplicates } = await processImages(inputs, analysisOptions);
+
+    logger.log(`\nImages processed successfully! Sorting images...`);
+    const sortedImageDataArray = sortImageDataArray(imageDataArray, options);
+    logger.log(createInfoTable(sortedImageDataArray, options).toString());
+
+    // Note where each image would end up in the grid, too.
+    if (options.layout === LAYOUTS.GRID && !options.target) {
+        const { numRows, numColumns } = setNumRowsAndNumCols(sortedImageDataArray.length, options);
+        const positions = getGridPositions(sortedImageDataArray, Object.assign({}, options, { numRows, numColumns }));
+        sortedImageDataArray.forEach((currentImageData, index) => {
+            currentImageData["gridPosition"] = positions[index];
+        });
+    }
+
+    return { report: createReport(sortedImageDataArray, options, skipped), imageDataArray: sortedImageDataArray, skipped, duplicates };
+}
+
+// This function looks for near-duplicate images without sorting or compositing anything,
+// which makes it a quick way to find the bursts and re-edits worth cleaning out of a photo library.
+// Returns `{ report, duplicates, imageDataArray, skipped }`, where `imageDataArray` holds the images that would be kept.
+// Use `createDuplicatesReportCSV()` or `createDuplicatesReportHTML()` to turn the report into something other than JSON.
+async function findDuplicates(options) {
+    // We never draw any tiles here, so there's no point in keeping shrunk copies of the images.
+    options = resolveOptions(Object.assign({}, options, { dedupe: true, keepTileSources: false }));
+
+    const inputs = getInputs(options);
+    const { imageDataArray, skipped, duplicates } = await processImages(inputs, options);
+
+    return { report: createDuplicatesReport(duplicates, options), duplicates, imageDataArray, skipped };
+}
+
+// This is our command line entry point. It's a thin wrapper around `createGrid()`.
+async function createColorSortedImageGrid(argv) {
+    const outputFilename = argv["outputFilename"];
+
+    if (argv.cropRects) {
+        argv = Object.assign({}, argv, { cropRects: loadCropRects(argv.cropRects) });
+    }
+
+    if (argv.animate) {
+        const result = await createAnimation(argv);
+        let outputAnimationFilename = outputFilename || `./output/${Date.now()}_${result.numColumns}x${result.numRows}_animated_${argv.animate}.gif`;
+        console.log(`\nWriting animation to \`${outputAnimationFilename}\`...`);
+        fs.writeFileSync(outputAnimationFilename, result.gif);
+        console.log(`Done! Find your color-sorted animation at:\n\n${"*".repeat(outputAnimationFilename.length + 4)}\n\n* ${outputAnimationFilename} *\n\n${"*".repeat(outputAnimationFilename.length + 4)}\n`);
+        return { outputFilename: outputAnimationFilename, imageDataArray: result.imageDataArray, skipped: result.skipped, duplicates: result.duplicates };
+    }
+
+    if (outputFilename === "duplicates") {
+        const { report, imageDataArray, skipped, duplicates } = await findDuplicates(argv);
+        const reportFilename = argv.reportFilename || `./output/${Date.now()}_${report.summary.numGroups}groups_duplicates.${argv.reportFormat}`;
+        let reportText;
+        if (argv.reportFormat === REPORT_FORMATS.CSV) {
+            reportText = createDuplicatesReportCSV(report);
+        } else if (argv.reportFormat === REPORT_FORMATS.HTML) {
+            reportText = createDuplicatesReportHTML(report);
+        } else {
+            reportText = JSON.stringify(report, null, 4);
+        }
+
+        console.log(`\nWriting duplicates report to \`${reportFilename}\`...`);
+        fs.mkdirSync(path.dirname(reportFilename), { recursive: true });
+        fs.writeFileSync(reportFilename, reportText);
+        console.log(`Done! Find your duplicates report at:\n\n${"*".repeat(reportFilename.length + 4)}\n\n* ${reportFilename} *\n\n${"*".repeat(reportFilename.length + 4)}\n`);
+        return { reportFilename, imageDataArray, skipped, duplicates };
+    }
+
+    if (outputFilename === "table") {
+        const { report, imageDataArray, skipped, duplicates } = await createColorReport(argv);
+        const reportFilename = argv.reportFilename || `./output/${Date.now()}_${report.summary.numImages}images_report.${argv.reportFormat}`;
+        let reportText;
+        if (argv.reportFormat === REPORT_FORMATS.CSV) {
+            reportText = createReportCSV(report);
+        } else if (argv.reportFormat === REPORT_FORMATS.HTML) {
+            reportText = createReportHTML(report);
+        } else {
+            reportText = JSON.stringify(report, null, 4);
+        }
+
+        console.log(`\nWriting color report to \`${reportFilename}\`...`);
+        fs.mkdirSync(path.dirname(reportFilename), { recursive: true });
+        fs.writeFileSync(reportFilename, reportText);
+        console.log(`Done! Find your color report at:\n\n${"*".repeat(reportFilename.length + 4)}\n\n* ${reportFilename} *\n\n${"*".repeat(reportFilename.length + 4)}\n`);
+        return { reportFilename, imageDataArray, skipped, duplicates };
+    }
+
+    if (argv.pyramid) {
+        // Tile pyramids are written next to where the output image would have gone.
+        const outputBasename = outputFilename ? outputFilename.replace(/\.[^./\\]+$/, '') : `./output/${Date.now()}_${argv.layout === LAYOUTS.GRID ? argv.sortOrder : argv.layout}_${argv.sortParameter}_${argv.visualizationMode}`;
+        const pyramidFilename = argv.pyramid === PYRAMID_FORMATS.DZI ? `${outputBasename}.dzi` : outputBasename;
+        const result = await createTilePyramid(Object.assign({}, argv, { outputFilename: pyramidFilename }));
+
+        const htmlFilename = argv.html || `${outputBasename}.html`;
+        console.log(`Writing tile pyramid viewer to \`${htmlFilename}\`...`);
+        fs.mkdirSync(path.dirname(htmlFilename), { recursive: true });
+        fs.writeFileSync(htmlFilename, createPyramidViewerHTML(result.pyramid, createManifest(result, argv), htmlFilename));
+        console.log(`Done! Open your tile pyramid's viewer at:\n\n${"*".repeat(htmlFilename.length + 4)}\n\n* ${htmlFilename} *\n\n${"*".repeat(htmlFilename.length + 4)}\n`);
+
+        // The viewer above stands in for the usual `--html` page, which needs the whole grid as one image.
+        await writeManifestAndViewer(result, Object.assign({}, argv, { html: undefined }), `${outputBasename}.png`);
+        return { outputFilename: pyramidFilename, imageDataArray: result.imageDataArray, skipped: result.skipped, duplicates: result.duplicates };
+    }
+
+    const result = await createGrid(Object.assign({}, argv, { composite: outputFilename !== "files" }));
+
+    // We're getting close...!
+
+    if (outputFilename === "files") {
+        let outputImageFolder = `./output/`;
+        console.log(`\nWriting output images in numeric order to \`${outputImageFolder}<n>.png\`...`);
+        const outputFilenames = await mapWithConcurrency(result.imageDataArray, argv.concurrency, async (currentImageData, i) => {
+            const outputImage = await createOutputImage(currentImageData, result.pxPerImage, argv);
+            const outputImageFilename = `${outputImageFolder}${(i + 1).toString().padStart(result.imageDataArray.length.toString().length, '0')}.png`;
+            await outputImage.write(outputImageFilename);
+            return outputImageFilename;
+        });
+        console.log(`Done! Find your color-sorted image files inside:\n\n${"*".repeat(outputImageFolder.length + 4)}\n\n* ${outputImageFolder} *\n\n${"*".repeat(outputImageFolder.length + 4)}\n`);
+        await writeManifestAndViewer(result, argv, `${outputImageFolder}grid.png`);
+        return { outputFilenames, imageDataArray: result.imageDataArray, skipped: result.skipped, duplicates: result.duplicates };
+    } else {
+        let outputImageFilename = outputFilename;
+        // Determine a nice and fancy output image filename if the user didn't
+        // specify one manually.
+        if (!outputImageFilename) {
+            if (argv.target) {
+                outputImageFilename = `./output/${Date.now()}_${result.numColumns}x${result.numRows}_mosaic_${path.parse(argv.target).name}_${argv.visualizationMode}.png`;
+            } else if (argv.layout && argv.layout !== LAYOUTS.GRID) {
+                outputImageFilename = `./output/${Date.now()}_${result.width}x${result.height}_${argv.layout}_${argv.sortParameter}_${argv.visualizationMode}.png`;
+            } else {
+                outputImageFilename = `./output/${Date.now()}_${result.numColumns}x${result.numRows}_${argv.sortOrder}_${argv.sortParameter}_${argv.visualizationMode}.png`;
+            }
+        }
+        console.log(`\nWriting output image to \`${outputImageFilename}\`...`);
+        await result.image.write(outputImageFilename);
+        console.log(`Done! Find your color-sorted image grid at:\n\n${"*".repeat(outputImageFilename.length + 4)}\n\n* ${outputImageFilename} *\n\n${"*".repeat(outputImageFilename.length + 4)}\n`);
+        await writeManifestAndViewer(result, argv, outputImageFilename);
+        return { outputFilename: outputImageFilename, imageDataArray: result.imageDataArray, skipped: result.skipped, duplicates: result.duplicates };
+    }
+}
+
+// This function returns the in-memory color analysis cache for `argv`'s cache directory, creating it if needed.
+// `analysisCaches` maps cache directories to caches, so that several jobs (or rebuilds) can share them.
+// If the on-disk cache is turned off, the in-memory cache starts from scratch.
+function getAnalysisCache(argv, analysisCaches) {
+    const cacheDirectory = path.resolve(getCacheDirectory(argv));
+    if (!analysisCaches.has(cacheDirectory)) {
+        analysisCaches.set(cacheDirectory, loadCache(cacheDirectory, { rebuild: argv.rebuildCache || !argv.cache }));
+    }
+    return analysisCaches.get(cacheDirectory);
+}
+
+// This function runs the command line pipeline once per job.
+// Jobs share their color analysis, so each input image is only analysed once no matter how many outputs we make.
+// Each job ends with a summary of any images it had to skip, and any near-duplicates it dropped.
+// Returns what `createColorSortedImageGrid()` returned for each job.
+async function runJobs(jobArgvs, analysisCaches = new Map()) {
+    const results = [];
+    for (let jobIndex = 0; jobIndex < jobArgvs.length; jobIndex++) {
+        if (jobArgvs.length > 1) {
+            console.log(`\n========== Job ${jobIndex + 1} of ${jobArgvs.length} ==========\n`);
+        }
+
+        const argv = jobArgvs[jobIndex];
+        const result = await createColorSortedImageGrid(Object.assign({}, argv, { analysisCache: getAnalysisCache(argv, analysisCaches) }));
+        if (result.skipped && result.skipped.length > 0) {
+            console.log(`${result.skipped.length} image(s) couldn't be read, so they were left out:`);
+            console.log(createSkippedTable(result.skipped).toString());
+        }
+        if (result.duplicates && result.duplicates.length > 0) {
+            console.log(`${result.duplicates.length} group(s) of near-duplicates were found:`);
+            console.log(createDuplicatesTable(result.duplicates).toString());
+        }
+        results.push(result);
+    }
+    return results;
+}
+
+// This function works out what watch mode needs to watch for `jobArgvs`.
+// It returns a `Map` from each directory to `{ recursive, filters }`, where a change to the file at `filePath`
+// matters if any of `filters` returns `true` for it. Jobs with an `inputList` watch the list file itself
+// and the directory of every image it lists, instead of `inputDirectory`.
+function getWatchTargets(jobArgvs) {
+    const targets = new Map();
+    const addTarget = (directory, recursive, filter) => {
+        directory = path.resolve(directory);
+        const target = targets.get(directory) || { recursive: false, filters: [] };
+        target.recursive = target.recursive || recursive;
+        target.filters.push(filter);
+        targets.set(directory, target);
+    };
+
+    jobArgvs.forEach((argv) => {
+        if (!argv.inputList) {
+            addTarget(argv.inputDirectory, !!argv.recursive, isInputImageFilename);
+            return;
+        }
+
+        const inputListFilename = path.resolve(argv.inputList);
+        addTarget(path.dirname(inputListFilename), false, (filePath) => { return filePath === inputListFilename; });
+
+        let listedPaths = [];
+        try {
+            listedPaths = readInputList(inputListFilename);
+        } catch (error) {
+            // The list might be halfway through being saved. We'll read it again after the next rebuild.
+        }
+        const listedPathSet = new Set(listedPaths);
+        new Set(listedPaths.map((listedPath) => { return path.dirname(listedPath); })).forEach((directory) => {
+            addTarget(directory, false, (filePath) => { return listedPathSet.has(filePath); });
+        });
+    });
+
+    return targets;
+}
+
+// This function runs every job once, then again every time an image in any job's
+// `inputDirectory` is added, changed, or removed. It keeps going until the process is stopped.
+// Jobs with an `inputList` rebuild when the list file or any of the images it lists change.
+// Only new and changed images are analysed again, and each rebuild overwrites the previous output.
+async function watchColorSortedImageGrid(jobArgvs) {
+    // Copy each job's options, since we'll be pinning down their output filenames.
+    jobArgvs = jobArgvs.map((argv) => { return Object.assign({}, argv); });
+    // Keep the color analysis in memory between rebuilds.
+    const analysisCaches = new Map();
+
+    let previousImageDataArrays = [];
+    // The numbered files that each `files` job wrote on the previous rebuild.
+    let previousOutputFilenames = [];
+    const rebuild = async () => {
+        const results = await runJobs(jobArgvs, analysisCaches);
+
+        results.forEach(({ outputFilename, outputFilenames, reportFilename, imageDataArray }, jobIndex) => {
+            // Keep writing to the same place, instead of a new timestamped file every time.
+            if (reportFilename) {
+                jobArgvs[jobIndex].reportFilename = reportFilename;
+            } else if (outputFilename) {
+                jobArgvs[jobIndex].outputFilename = outputFilename;
+            }
+
+            // If there are fewer images than last time, delete the numbered files we wrote last time that weren't rewritten,
+            // so they don't get mixed in with this rebuild. Files we didn't write ourselves are never touched.
+            if (outputFilenames && previousOutputFilenames[jobIndex]) {
+                previousOutputFilenames[jobIndex].forEach((filename) => {
+                    if (!outputFilenames.includes(filename) && fs.existsSync(filename)) {
+                        fs.unlinkSync(filename);
+                    }
+                });
+            }
+
+            if (previousImageDataArrays[jobIndex]) {
+                console.log(createInfoTableDiff(previousImageDataArrays[jobIndex], imageDataArray).toString());
+            }
+        });
+        previousImageDataArrays = results.map((result) => { return result.imageDataArray; });
+        previousOutputFilenames = results.map((result) => { return result.outputFilenames; });
+    };
+
+    try {
+        await rebuild();
+    } catch (error) {
+        console.error(`Error when processing images! Error:\n${error.message || error}`);
+    }
+
+    // An input list can change which directories we need to watch, so we work that out again after every rebuild.
+    let watchTargets = new Map();
+    const watchers = new Map();
+    const updateWatchers = () => {
+        watchTargets = getWatchTargets(jobArgvs);
+
+        watchers.forEach((watcher, directory) => {
+            if (!watchTargets.has(directory)) {
+                watcher.close();
+                watchers.delete(directory);
+            }
+        });
+
+        watchTargets.forEach((target, directory) => {
+            if (watchers.has(directory) || !fs.existsSync(directory)) {
+                return;
+            }
+
+            watchers.set(directory, watchDirectory(directory, {
+                debounce: jobArgvs[0].watchDebounce,
+                recursive: target.recursive,
+                filter: (filename) => {
+                    // Look the target up again, since the input list may have changed since we started watching.
+                    const currentTarget = watchTargets.get(directory);
+                    return !!currentTarget && currentTarget.filters.some((filter) => { return filter(path.join(directory, filename)); });
+                },
+                onChange: async (changedFilenames) => {
+                    console.log(`\nNoticed changes to ${changedFilenames.filter((filename) => { return filename; }).join(', ') || 'the input directory'}. Rebuilding...`);
+                    try {
+                        await rebuild();
+                    } catch (error) {
+                        // One bad (or half-copied) image shouldn't stop us from watching.
+                        console.error(`Error when processing images! Error:\n${error.message || error}`);
+                    }
+                    updateWatchers();
+                    logWatching();
+                }
+            }));
+        });
+    };
+    const logWatching = () => {
+        console.log(`Watching ${Array.from(watchers.keys()).map((directory) => { return `\`${directory}\``; }).join(', ')} for changes. Press Ctrl+C to stop.`);
+    };
+    updateWatchers();
+    logWatching();
+
+    return watchers;
+}
+
+// This function works out what the command line asked for, and returns one set of options per job.
+// Options come from `--config` (or `colorgrid.config.json`, if it exists) and `--preset`,
+// but flags on the command line always win.
+function getCommandLineJobs(args) {
+    const commandLineArgv = parseArgs(args);
+
+    let configFilename = commandLineArgv.config;
+    if (!configFilename && fs.existsSync(DEFAULT_CONFIG_FILENAME)) {
+        configFilename = DEFAULT_CONFIG_FILENAME;
+    }
+
+    let config = {};
+    if (configFilename) {
+        console.log(`Using config file \`${configFilename}\`.`);
+        config = loadConfig(configFilename);
+    }
+
+    return getJobConfigs(config, commandLineArgv.preset).map((jobConfig) => { return parseArgs(args, jobConfig); });
+}
+
+// This function writes the `--manifest` JSON and `--html` viewer page, if the user asked for them.
+// If either option is given without a path, the file is written next to `outputImageFilename`.
+async function writeManifestAndViewer(result, argv, outputImageFilename) {
+    const getDefaultFilename = (extension) => {
+        return outputImageFilename.replace(/\.[^./\\]+$/, '') + extension;
+    };
+    const manifest = createManifest(result, Object.assign({}, argv, { outputFilename: result.image ? outputImageFilename : undefined }));
+
+    if (argv.manifest !== undefined) {
+        const manifestFilename = argv.manifest || getDefaultFilename('.json');
+        console.log(`Writing placement manifest to \`${manifestFilename}\`...`);
+        fs.mkdirSync(path.dirname(manifestFilename), { recursive: true });
+        fs.writeFileSync(manifestFilename, JSON.stringify(manifest, null, 4));
+    }
+
+    if (argv.html !== undefined) {
+        if (!result.image) {
+            console.error(`The HTML viewer needs an output grid image, so it can't be written when \`outputFilename\` is \`${argv.outputFilename}\`.`);
+            return;
+        }
+
+        const htmlFilename = argv.html || getDefaultFilename('.html');
+        console.log(`Writing HTML viewer to \`${htmlFilename}\`...`);
+        fs.mkdirSync(path.dirname(htmlFilename), { recursive: true });
+        fs.writeFileSync(htmlFilename, createViewerHTML(manifest, await result.image.getBase64('image/png'), htmlFilename));
+    }
+}
+
+// Set up script command line arguments. I love yargs.
+// This function parses command line `args`. Values in `config` are used in place of the defaults,
+// but flags in `args` still win.
+function parseArgs(args, config = {}) {
+    return yargs(args)
+        .config(config)
+        .option('config', {
+            describe: `A JSON file of options to use, so you don't have to type them every time. Flags on the command line override it. Defaults to \`${DEFAULT_CONFIG_FILENAME}\` if that file exists. It can also hold a \`jobs\` array to make several outputs from one analysis of your images.`,
+            type: 'string'
+        })
+        .option('preset', {
+            describe: `A named set of options to start from. Config files can define more presets in \`presets\`. Built-in presets: ${Object.keys(PRESETS).join(', ')}`,
+            type: 'string'
+        })
+        .option('numRows', {
+            alias: 'r',
+            describe: 'Number of rows in the output image',
+            type: 'number'
+        })
+        .option('numColumns', {
+            alias: 'c',
+            describe: 'Number of columns in the output image',
+            type: 'number'
+        })
+        .option('pxPerImage', {
+            alias: 'px',
+            describe: 'Number of pixels per side per sub-image in the output image. The same number of pixels will be used for width and height. Defaults to the minimum dimension across all input images.',
+            type: 'number'
+        })
+        .option('outputFilename', {
+            alias: 'o',
+            describe: 'The directory and filename at which you want the final output image to appear. Must include the image extensions, i.e. `./output/output.png`. Set this value to "files" if you want the sorted image grid to be output to enumerated files in the `./output/` folder. Set this value to "table" to write a color report about your images instead of an image, or "duplicates" to only write a report of near-duplicate images; see `--reportFormat`.',
+            type: 'string'
+        })
+        .option('reportFormat', {
+            describe: 'The format of the report written when `outputFilename` is "table" or "duplicates".',
+            type: 'string',
+            choices: Object.values(REPORT_FORMATS),
+            default: REPORT_FORMATS.JSON
+        })
+        .option('reportFilename', {
+            describe: 'Where to write the report when `outputFilename` is "table" or "duplicates". Defaults to a timestamped file in `./output/`.',
+            type: 'string'
+        })
+        .option('pyramid', {
+            describe: 'Write the output as a tile pyramid in this layout instead of one big image, with an HTML page to pan and zoom around it. Use this for grids too big to fit in memory. The pyramid is written next to `outputFilename`.',
+            type: 'string',
+            choices: Object.values(PYRAMID_FORMATS)
+        })
+        .option('tileSize', {
+            describe: 'The width and height of each tile in a tile pyramid, in pixels.',
+            type: 'number',
+            default: DEFAULT_OPTIONS.tileSize
+        })
+        .option('dedupe', {
+            describe: 'Find groups of near-duplicate images, like bursts and re-edits of the same shot, and only keep one image from each group. Groups are chained: if A looks like B and B looks like C, only one of the three is kept, even if A and C look nothing alike.',
+            type: 'boolean',
+            default: DEFAULT_OPTIONS.dedupe
+        })
+        .option('dedupeHash', {
+            describe: 'The perceptual hash used to compare images when looking for near-duplicates. `phash` is the best at seeing through re-edits.',
+            type: 'string',
+            choices: Object.values(HASH_METHODS),
+            default: DEFAULT_OPTIONS.dedupeHash
+        })
+        .option('dedupeThreshold', {
+            describe: 'Images whose 64-bit perceptual hashes differ by at most this many bits count as near-duplicates. Raise it to catch heavier edits, or lower it if different photos are being grouped together.',
+            type: 'number',
+            default: DEFAULT_OPTIONS.dedupeThreshold
+        })
+        .option('dedupeColorThreshold', {
+            describe: 'Near-duplicates must also have image colors (as picked by `--colorMethod`) within this OKLab distance of each other, since perceptual hashes ignore color. OKLab distances run from 0 for identical colors to 1 for black and white.',
+            type: 'number',
+            default: DEFAULT_OPTIONS.dedupeColorThreshold
+        })
+        .option('dedupeKeep', {
+            describe: 'How to choose which image to keep from each group of near-duplicates.',
+            type: 'string',
+            choices: Object.values(DUPLICATE_KEEPS),
+            default: DEFAULT_OPTIONS.dedupeKeep
+        })
+        .option('sortOrder', {
+            alias: 's',
+            describe: 'The order into which you want your input images to be sorted',
+            type: 'string',
+            choices: Object.values(SORT_ORDERS),
+            default: DEFAULT_OPTIONS.sortOrder
+        })
+        .option('sortParameter', {
+            alias: 'p',
+            describe: `The color parameter by which you want to sort. Experiment with this! Use a comma-separated list, i.e. \`hue,value\`, to break ties with the later parameters. Choose from: ${Object.values(SORT_PARAMETERS).join(', ')}`,
+            type: 'string',
+            default: DEFAULT_OPTIONS.sortParameter,
+            coerce: (sortParameter) => {
+                getSortParameters(sortParameter);
+                return sortParameter;
+            }
+        })
+        .option('reverse', {
+            describe: 'Sort in descending order. Pass a comma-separated list of sort parameters, i.e. `--reverse value`, to only reverse those.',
+            type: 'string',
+            // A bare `--reverse` reverses every sort parameter.
+            coerce: (reverse) => { return reverse === '' ? true : reverse; }
+        })
+        .option('hueOffset', {
+            describe: 'Rotate the color wheel by this many degrees before sorting by a hue, so that it starts at a color other than red. For example, `--hueOffset 180` starts at cyan.',
+            type: 'number',
+            default: DEFAULT_OPTIONS.hueOffset
+        })
+        .option('greyThreshold', {
+            describe: 'Images with a chroma (colorfulness, from 0 for grey to about 130) below this are pulled out of the color sort into their own group of greys, sorted from dark to light. Set to 0 to turn this off.',
+            type: 'number',
+            default: DEFAULT_OPTIONS.greyThreshold
+        })
+        .option('greyPlacement', {
+            describe: 'Whether the group of greys goes at the start or the end of the grid. See `--greyThreshold`.',
+            type: 'string',
+            choices: Object.values(GREY_PLACEMENTS),
+            default: DEFAULT_OPTIONS.greyPlacement
+        })
+        .option('inputDirectory', {
+            alias: 'i',
+            describe: 'The directory inside which you have placed input files for this script.',
+            type: 'string',
+            default: DEFAULT_OPTIONS.inputDirectory
+        })
+        .option('recursive', {
+            describe: 'Also use the images inside subdirectories of the input directory.',
+            type: 'boolean',
+            default: DEFAULT_OPTIONS.recursive
+        })
+        .option('include', {
+            describe: 'Only use images whose paths match at least one of these glob patterns, i.e. `--include "*.jpg" "vacation/**"`. Patterns without a `/` match filenames at any depth.',
+            type: 'array'
+        })
+        .option('exclude', {
+            describe: 'Never use images whose paths match any of these glob patterns, i.e. `--exclude "*_thumb.*"`.',
+            type: 'array'
+        })
+        .option('inputList', {
+            describe: 'The path to a text file listing one input image path per line, instead of looking inside the input directory. Relative paths are relative to the list file. Lines starting with `#` are ignored.',
+            type: 'string'
+        })
+        .option('visualizationMode', {
+            alias: 'v',
+            describe: 'The output image visualization mode. Experiment!',
+            type: 'string',
+            choices: Object.values(VISUALIZATION_MODES),
+            default: DEFAULT_OPTIONS.visualizationMode
+        })
+        .option('colorMethod', {
+            alias: 'm',
+            describe: 'How to pick the color that represents each image. `average` uses the mean color. `dominant` uses the largest cluster of similar colors. `palette` uses the most visually prominent cluster, favoring saturated colors over large neutral backgrounds.',
+            type: 'string',
+            choices: Object.values(COLOR_METHODS),
+            default: DEFAULT_OPTIONS.colorMethod
+        })
+        .option('paletteSize', {
+            describe: 'The number of colors to extract from each image when using the `dominant` or `palette` color methods, or the `palette` visualization mode.',
+            type: 'number',
+            default: DEFAULT_OPTIONS.paletteSize
+        })
+        .option('cache', {
+            describe: 'Remember the color analysis of each input image between runs, so that reruns only analyse new or changed files. Use `--no-cache` to ignore the cache entirely.',
+            type: 'boolean',
+            default: DEFAULT_OPTIONS.cache
+        })
+        .option('cacheDir', {
+            describe: 'The directory in which to keep the color analysis cache. Defaults to the directory of `--inputList`, if it\'s set, or the input directory otherwise.',
+            type: 'string'
+        })
+        .option('rebuildCache', {
+            describe: 'Throw away the existing color analysis cache and analyse every input image again.',
+            type: 'boolean',
+            default: DEFAULT_OPTIONS.rebuildCache
+        })
+        .option('watch', {
+            alias: 'w',
+            describe: 'Keep running, and rebuild the output every time an image in the input directory is added, changed, or removed.',
+            type: 'boolean',
+            default: false
+        })
+        .option('watchDebounce', {
+            describe: 'In watch mode, wait until the input directory has been quiet for this many milliseconds before rebuilding.',
+            type: 'number',
+            default: 500
+        })
+        .option('concurrency', {
+            describe: 'The maximum number of input images to read at once. Lower this if you run out of memory with lots of large images. Must be a whole number greater than zero.',
+            type: 'number',
+            default: DEFAULT_OPTIONS.concurrency,
+            coerce: validateConcurrency
+        })
+        .option('layout', {
+            alias: 'l',
+            describe: 'How images are arranged in the output image. `grid` crops every image to the same size. `justified` keeps each image\'s aspect ratio and fills rows of equal width, like Flickr. `masonry` keeps each image\'s aspect ratio and stacks them into columns, like Pinterest.',
+            type: 'string',
+            choices: Object.values(LAYOUTS),
+            default: DEFAULT_OPTIONS.layout
+        })
+        .option('rowHeight', {
+            describe: 'The target height of each row in the `justified` layout, in pixels. Defaults to `pxPerImage`.',
+            type: 'number'
+        })
+        .option('columnWidth', {
+            describe: 'The target width of each column in the `masonry` layout, in pixels. Defaults to `pxPerImage`.',
+            type: 'number'
+        })
+        .option('outputWidth', {
+            describe: 'The width of the output image in the `justified` and `masonry` layouts, in pixels. Defaults to whatever makes the output image roughly square.',
+            type: 'number'
+        })
+        .option('fit', {
+            describe: 'How each image is fitted into its tile. `cover` fills the tile and crops around the center, `contain` letterboxes the whole image onto `background`, and `smart` fills the tile and crops around the most detailed part of the image. Only applies to the `normal` visualization mode.',
+            type: 'string',
+            choices: Object.values(FIT_MODES),
+            default: DEFAULT_OPTIONS.fit
+        })
+        .option('background', {
+            describe: 'The color behind the tiles, and the letterbox color used by `--fit contain`, as a hex color like `#000000`. Add an alpha channel, i.e. `#00000080`, for transparency. Transparent by default.',
+            type: 'string',
+            default: DEFAULT_OPTIONS.background
+        })
+        .option('gutter', {
+            describe: 'The space between tiles, in pixels.',
+            type: 'number',
+            default: DEFAULT_OPTIONS.gutter
+        })
+        .option('margin', {
+            describe: 'The space around the edge of the output image, in pixels.',
+            type: 'number',
+            default: DEFAULT_OPTIONS.margin
+        })
+        .option('border', {
+            describe: 'The width of a border around each tile, in pixels. Each border is the color of its image.',
+            type: 'number',
+            default: DEFAULT_OPTIONS.border
+        })
+        .option('cornerRadius', {
+            describe: 'Round off the corners of each tile by this many pixels.',
+            type: 'number',
+            default: DEFAULT_OPTIONS.cornerRadius
+        })
+        .option('caption', {
+            describe: 'Text to write under each tile: nothing, the image\'s filename, or the hex code of its color.',
+            type: 'string',
+            choices: Object.values(CAPTIONS),
+            default: DEFAULT_OPTIONS.caption
+        })
+        .option('emptyCells', {
+            describe: 'What to do with grid cells that don\'t have an image. `empty` leaves them showing the background, `swatch` fills them with the color of the nearest image, and `center` centers the images in the partly-filled row or column instead.',
+            type: 'string',
+            choices: Object.values(EMPTY_CELLS),
+            default: DEFAULT_OPTIONS.emptyCells
+        })
+        .option('cropRects', {
+            describe: 'A JSON file that sets the crop rect of particular images, overriding `--fit`. It can map each image filename to an { x, y, width, height } rect in source pixels, or be a manifest written by `--manifest`.',
+            type: 'string'
+        })
+        .option('target', {
+            alias: 't',
+            describe: 'Photomosaic mode! The path to an image that you want to rebuild out of your input images. The target is split into `numColumns` x `numRows` cells, and each cell is filled with the input image closest to its color.',
+            type: 'string'
+        })
+        .option('maxReuse', {
+            describe: 'In photomosaic mode, the maximum number of times each input image may be used. Set to 0 for no limit.',
+            type: 'number',
+            default: DEFAULT_OPTIONS.maxReuse
+        })
+        .option('tint', {
+            describe: 'In photomosaic mode, how much to blend each tile towards the color of its target cell, from 0 (not at all) to 1 (completely).',
+            type: 'number',
+            default: DEFAULT_OPTIONS.tint
+        })
+        .option('manifest', {
+            describe: 'Also write a JSON manifest describing where each source image sits in the output grid. Optionally specify its path; by default, it goes next to the output image.',
+            type: 'string'
+        })
+        .option('html', {
+            describe: 'Also write a self-contained HTML page showing the output grid, with hover tooltips and links to each original file. Optionally specify its path; by default, it goes next to the output image.',
+            type: 'string'
+        })
+        .option('animate', {
+            alias: 'a',
+            describe: 'Render an animated GIF instead of a still image. `visualizationModes` cycles through visualization modes, `sortParameters` steps through sort parameters, and `tween` slides each image from its filename-sorted position to its color-sorted position.',
+            type: 'string',
+            choices: Object.values(ANIMATION_MODES)
+        })
+        .option('animateValues', {
+            describe: 'A comma-separated list of the visualization modes or sort parameters to step through when animating, i.e. `normal,4x4,dominant`.',
+            type: 'string'
+        })
+        .option('frameDelay', {
+            describe: 'How long each animation frame is shown, in milliseconds. When tweening, this is how long the first and last frames are held, and also how long the tween takes.',
+            type: 'number',
+            default: DEFAULT_OPTIONS.frameDelay
+        })
+        .option('loop', {
+            describe: 'How many times the animation repeats. Set to 0 to loop forever.',
+            type: 'number',
+            default: DEFAULT_OPTIONS.loop
+        })
+        .option('tweenFrames', {
+            describe: 'How many frames the `tween` animation takes to slide each image into place.',
+            type: 'number',
+            default: DEFAULT_OPTIONS.tweenFrames
+        })
+        .option('greyscale', {
+            alias: 'g',
+            describe: 'Makes all input images greyscale before processing them. Try this mode while sorting by value!',
+            type: "boolean",
+            default: DEFAULT_OPTIONS.greyscale
+        })
+        .option('heightScale', {
+            alias: 'hs',
+            describe: 'Images will be clipped to a square aspect ratio by default.This setting applies a ratio between height and width, image height will be x times greater than width. Use values <1 for landscape or values >1 for portrait.',
+            type: "number",
+            default: DEFAULT_OPTIONS.heightScale
+        })
+        .help()
+        .alias('help', 'h')
+        .argv;
+}
+
+module.exports = {
+    SORT_ORDERS,
+    SORT_PARAMETERS,
+    VISUALIZATION_MODES,
+    COLOR_METHODS,
+    ANIMATION_MODES,
+    LAYOUTS,
+    FIT_MODES,
+    CAPTIONS,
+    EMPTY_CELLS,
+    REPORT_FORMATS,
+    GREY_PLACEMENTS,
+    SUPPORTED_EXTENSIONS,
+    HASH_METHODS,
+    DUPLICATE_KEEPS,
+    PYRAMID_FORMATS,
+    DEFAULT_OPTIONS,
+    hexToHSV,
+    getColorInfo,
+    pickImageColor,
+    extractPalette,
+    determinePxPerImage,
+    setNumRowsAndNumCols,
+    getInputImagePaths,
+    readInputList,
+    processImages,
+    sortImageDataArray,
+    getGridPositions,
+    arrangeMosaic,
+    createInfoTable,
+    createOutputImage,
+    createOutputGrid,
+    createGrid,
+    createTilePyramid,
+    createAnimation,
+    createManifest,
+    createViewerHTML,
+    createColorReport,
+    createReportCSV,
+    createReportHTML,
+    findDuplicates,
+    createDuplicatesReportCSV,
+    createDuplicatesReportHTML,
+};
+
+// Only run the CLI if this file was run directly, i.e. `node index.js`.
+// `require("colorsortedimagegrid")` will just give you the functions above.
+if (require.main === module) {
+    Promise.resolve()
+        .then(() => {
+            const jobArgvs = getCommandLineJobs(process.argv.slice(2));
+            return jobArgvs[0].watch ? watchColorSortedImageGrid(jobArgvs) : runJobs(jobArgvs);
+        })
+        .catch((error) => {
+            console.error(`Error when processing images! Error:\n${error.message || error}`);
+            process.exitCode = 1;
+        });
+}
 
 // Thank you for reading the code!
 // If you made it this far, I'd love for you to contribute and make this code even better!
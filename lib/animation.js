@@ -0,0 +1,34 @@
+// This module encodes animated GIFs out of a series of `Jimp` frames.
+const { GifFrame, GifCodec, GifUtil } = require('gifwrap');
+
+// This function eases `t` (from 0 to 1) in and out, so that tweened tiles start and stop gently.
+function easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+// This function encodes `frames` into an animated GIF and resolves to a `Buffer`.
+// Each frame is an Object `{ image, delay }`, where `image` is a `Jimp` image and `delay` is in milliseconds.
+// All frames must be the same size. `loop` is the number of times to repeat the animation; `0` loops forever.
+async function encodeAnimatedGif(frames, { loop = 0 } = {}) {
+    const gifFrames = frames.map((frame) => {
+        return new GifFrame({
+            width: frame.image.bitmap.width,
+            height: frame.image.bitmap.height,
+            // `gifwrap` quantizes frames in place, so give it its own copy of the pixels.
+            data: Buffer.from(frame.image.bitmap.data)
+        }, {
+            delayCentisecs: Math.max(1, Math.round(frame.delay / 10))
+        });
+    });
+
+    // GIFs can only hold 256 colors. Quantizing every frame together keeps colors consistent between frames.
+    GifUtil.quantizeDekker(gifFrames, 256);
+
+    const gif = await new GifCodec().encodeGif(gifFrames, { loops: loop });
+    return gif.buffer;
+}
+
+module.exports = {
+    easeInOutCubic,
+    encodeAnimatedGif,
+};
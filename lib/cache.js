@@ -0,0 +1,126 @@
+// This module manages a persistent sidecar cache of per-image color analysis results.
+// Analysing a full-resolution photo is slow, so we remember each image's dimensions,
+// average color, and palette. On the next run, only new or changed files need to be analysed.
+const fs = require('fs');
+const path = require('path');
+
+// The name of the cache file inside the cache directory.
+const CACHE_FILENAME = '.colorSortedImageGrid-cache.json';
+// Bump this whenever the shape of a cache entry or the analysis itself changes.
+// Caches with a different version are thrown away.
+const CACHE_VERSION = 2;
+
+// This function returns an empty cache Object.
+function createEmptyCache(cacheDirectory) {
+    return {
+        cachePath: path.resolve(cacheDirectory, CACHE_FILENAME),
+        cacheDirectory: path.resolve(cacheDirectory),
+        entries: {},
+        hits: 0,
+        misses: 0,
+        dirty: false
+    };
+}
+
+// This function loads the cache from `cacheDirectory`.
+// If the cache file doesn't exist, is unreadable, or is from an older version of this script,
+// an empty cache is returned instead. Set `rebuild` to `true` to always start from an empty cache.
+function loadCache(cacheDirectory, { rebuild = false, logger = console } = {}) {
+    const cache = createEmptyCache(cacheDirectory);
+
+    if (rebuild || !fs.existsSync(cache.cachePath)) {
+        // Make sure a rebuilt cache gets written back out, even if nothing else changes.
+        cache.dirty = rebuild;
+        return cache;
+    }
+
+    try {
+        const cacheFile = JSON.parse(fs.readFileSync(cache.cachePath, 'utf8'));
+        if (cacheFile.version === CACHE_VERSION && cacheFile.entries) {
+            cache.entries = cacheFile.entries;
+        } else {
+            logger.log(`Ignoring out-of-date cache at \`${cache.cachePath}\`.`);
+            cache.dirty = true;
+        }
+    } catch (error) {
+        logger.error(`Ignoring unreadable cache at \`${cache.cachePath}\`! Error:\n${error}`);
+        cache.dirty = true;
+    }
+
+    return cache;
+}
+
+// Entries are keyed by their path relative to the cache directory,
+// so a cache that lives inside the input directory still works if that directory moves.
+function getCacheKey(cache, filePath) {
+    return path.relative(cache.cacheDirectory, path.resolve(filePath)).split(path.sep).join('/');
+}
+
+// This function returns the cached analysis for `filePath`, or `undefined` if there isn't a usable one.
+// An entry is only usable if the file's size and modification time haven't changed
+// and it was analysed with the same `analysisSettings`, i.e. { greyscale, paletteSize }.
+// Some analysis is only done when it's needed, so list any fields the entry must have in `requiredFields`.
+function getCacheEntry(cache, filePath, analysisSettings, requiredFields = []) {
+    const entry = cache.entries[getCacheKey(cache, filePath)];
+    let stats;
+    try {
+        stats = fs.statSync(filePath);
+    } catch (error) {
+        return undefined;
+    }
+
+    const isUsable = entry &&
+        entry.size === stats.size &&
+        entry.mtimeMs === stats.mtimeMs &&
+        Object.keys(analysisSettings).every((setting) => { return entry.analysisSettings[setting] === analysisSettings[setting]; }) &&
+        requiredFields.every((field) => { return entry[field] !== undefined; });
+
+    if (isUsable) {
+        cache.hits++;
+        return entry;
+    }
+
+    cache.misses++;
+    return undefined;
+}
+
+// This function stores the analysis `data` for `filePath` in the cache.
+// `data` should contain the image's `width`, `height`, `averageColor`, and `palette`,
+// plus its perceptual `hashes` and `sharpness` if we're looking for duplicates.
+function setCacheEntry(cache, filePath, analysisSettings, data) {
+    const stats = fs.statSync(filePath);
+
+    cache.entries[getCacheKey(cache, filePath)] = Object.assign({
+        size: stats.size,
+        mtimeMs: stats.mtimeMs,
+        analysisSettings
+    }, data);
+    cache.dirty = true;
+}
+
+// This function writes the cache back to disk if anything changed.
+// Entries whose files no longer exist are dropped first.
+function saveCache(cache) {
+    Object.keys(cache.entries).forEach((key) => {
+        if (!fs.existsSync(path.join(cache.cacheDirectory, key))) {
+            delete cache.entries[key];
+            cache.dirty = true;
+        }
+    });
+
+    if (!cache.dirty) {
+        return;
+    }
+
+    fs.mkdirSync(cache.cacheDirectory, { recursive: true });
+    fs.writeFileSync(cache.cachePath, JSON.stringify({ version: CACHE_VERSION, entries: cache.entries }));
+    cache.dirty = false;
+}
+
+module.exports = {
+    CACHE_FILENAME,
+    loadCache,
+    getCacheEntry,
+    setCacheEntry,
+    saveCache,
+};
@@ -0,0 +1,94 @@
+// This module converts sRGB colors into perceptual color spaces.
+// Distances and hues in these spaces line up much better with what people actually see
+// than HSV or a fixed luma weighting do, especially through blues and purples.
+
+// The CIE standard illuminant D65 reference white, which is what sRGB uses.
+const D65_WHITE = { x: 0.95047, y: 1.0, z: 1.08883 };
+
+// This function takes a single sRGB channel in the 0-255 range and
+// undoes the sRGB gamma curve, returning a linear-light value in the 0-1 range.
+function srgbChannelToLinear(channel) {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+// This function takes an object { r, g, b } (0-255) and converts it to linear-light RGB (0-1).
+function rgbToLinearRGB({ r, g, b }) {
+    return {
+        r: srgbChannelToLinear(r),
+        g: srgbChannelToLinear(g),
+        b: srgbChannelToLinear(b)
+    };
+}
+
+// This function takes an object { r, g, b } (0-255) and converts it to CIE XYZ (D65).
+function rgbToXYZ(rgb) {
+    const { r, g, b } = rgbToLinearRGB(rgb);
+
+    return {
+        x: 0.4124564 * r + 0.3575761 * g + 0.1804375 * b,
+        y: 0.2126729 * r + 0.7151522 * g + 0.0721750 * b,
+        z: 0.0193339 * r + 0.1191920 * g + 0.9503041 * b
+    };
+}
+
+// This function takes an object { r, g, b } (0-255) and converts it to CIELAB.
+// `l` is in the 0-100 range. `a` and `b` are roughly in the -128-128 range.
+function rgbToLab(rgb) {
+    const { x, y, z } = rgbToXYZ(rgb);
+
+    // The CIELAB companding function.
+    const f = (t) => {
+        return t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+    };
+
+    const fx = f(x / D65_WHITE.x);
+    const fy = f(y / D65_WHITE.y);
+    const fz = f(z / D65_WHITE.z);
+
+    return {
+        l: 116 * fy - 16,
+        a: 500 * (fx - fy),
+        b: 200 * (fy - fz)
+    };
+}
+
+// This function converts any { l, a, b } opponent color (CIELAB or OKLab)
+// into its cylindrical { l, c, h } form. `h` is in degrees, in the 0-360 range.
+function labToLCh({ l, a, b }) {
+    let h = Math.atan2(b, a) * 180 / Math.PI;
+
+    if (h < 0)
+        h += 360;
+
+    return {
+        l,
+        c: Math.sqrt(a * a + b * b),
+        h
+    };
+}
+
+// This function takes an object { r, g, b } (0-255) and converts it to OKLab.
+// `l` is in the 0-1 range. `a` and `b` are roughly in the -0.4-0.4 range.
+// The matrices are from https://bottosson.github.io/posts/oklab/
+// Thanks, Björn Ottosson!
+function rgbToOklab(rgb) {
+    const { r, g, b } = rgbToLinearRGB(rgb);
+
+    const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+    const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+    const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+
+    return {
+        l: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    };
+}
+
+module.exports = {
+    rgbToXYZ,
+    rgbToLab,
+    labToLCh,
+    rgbToOklab,
+};
@@ -0,0 +1,55 @@
+// This module runs asynchronous work over a list of items without starting all of it at once.
+// Starting thousands of image decodes at the same time runs Node out of memory,
+// so we only ever let `limit` of them be in flight.
+
+// This function calls `fn(item, index)` for every item in `items`, running at most `limit` calls at a time.
+// It resolves to an array of results in the same order as `items`.
+// If any call rejects, no new calls are started and the returned `Promise` rejects with that error.
+function mapWithConcurrency(items, limit, fn) {
+    return new Promise((resolve, reject) => {
+        const results = new Array(items.length);
+        let nextIndex = 0;
+        let numRunning = 0;
+        let numDone = 0;
+        let failed = false;
+
+        // A `limit` that isn't a number greater than zero (like `NaN`) would never start anything, so we run one call at a time instead.
+        const maxRunning = limit >= 1 ? limit : 1;
+
+        if (items.length === 0) {
+            resolve(results);
+            return;
+        }
+
+        const startNext = () => {
+            while (!failed && numRunning < maxRunning && nextIndex < items.length) {
+                const index = nextIndex++;
+                numRunning++;
+
+                Promise.resolve()
+                    .then(() => { return fn(items[index], index); })
+                    .then((result) => {
+                        results[index] = result;
+                        numRunning--;
+                        numDone++;
+
+                        if (numDone === items.length) {
+                            resolve(results);
+                        } else {
+                            startNext();
+                        }
+                    })
+                    .catch((error) => {
+                        failed = true;
+                        reject(error);
+                    });
+            }
+        };
+
+        startNext();
+    });
+}
+
+module.exports = {
+    mapWithConcurrency,
+};
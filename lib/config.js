@@ -0,0 +1,81 @@
+// This module reads config files, so that long command lines can live in a file instead of your shell history.
+// A config file is JSON. It can hold any command line option, a `preset` to start from,
+// extra named `presets` of its own, and a `jobs` array that makes several outputs in one run.
+const fs = require('fs');
+
+// If there's a file with this name in the current directory, we use it even without `--config`.
+const DEFAULT_CONFIG_FILENAME = 'colorgrid.config.json';
+
+// These presets are always available. Config files can add their own, or replace these.
+const PRESETS = {
+    // Books are typically about 1.6 times taller than they are wide.
+    'bookCovers': {
+        heightScale: 1.6,
+    },
+    // Evenly spaced tiles on white, with every neighbor as similar as possible.
+    'print': {
+        sortOrder: 'annealed',
+        sortParameter: 'okHue',
+        gutter: 16,
+        margin: 48,
+        background: '#ffffff',
+    },
+    // Uncropped images in neat rows, like a photo gallery.
+    'gallery': {
+        layout: 'justified',
+        sortParameter: 'okHue',
+        gutter: 4,
+        margin: 4,
+        background: '#ffffff',
+    },
+};
+
+// This function reads and parses the config file at `configFilename`.
+function loadConfig(configFilename) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(configFilename, 'utf8'));
+    } catch (error) {
+        throw new Error(`Couldn't read the config file \`${configFilename}\`! Error:\n${error.message || error}`);
+    }
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error(`The config file \`${configFilename}\` should contain a JSON Object.`);
+    }
+    if (config.jobs !== undefined && !Array.isArray(config.jobs)) {
+        throw new Error(`\`jobs\` in the config file \`${configFilename}\` should be an array.`);
+    }
+
+    return config;
+}
+
+// This function turns a config Object into one set of options per job.
+// Options are layered like this, with later layers winning:
+// the config file, then the chosen preset, then the job itself.
+// `presetName` overrides any `preset` named in the config file or its jobs, i.e. when it comes from the command line.
+// A config without `jobs` is a single job.
+function getJobConfigs(config, presetName) {
+    const presets = Object.assign({}, PRESETS, config.presets);
+    const baseConfig = Object.assign({}, config);
+    delete baseConfig.jobs;
+    delete baseConfig.presets;
+
+    const jobs = config.jobs && config.jobs.length > 0 ? config.jobs : [{}];
+    return jobs.map((job) => {
+        const jobPresetName = presetName || job.preset || baseConfig.preset;
+
+        // Uh oh! Error! Stinky!
+        if (jobPresetName && !presets[jobPresetName]) {
+            throw new Error(`There's no preset called \`${jobPresetName}\`! Choose from: ${Object.keys(presets).join(', ')}`);
+        }
+
+        return Object.assign({}, baseConfig, presets[jobPresetName], job);
+    });
+}
+
+module.exports = {
+    DEFAULT_CONFIG_FILENAME,
+    PRESETS,
+    loadConfig,
+    getJobConfigs,
+};
@@ -0,0 +1,132 @@
+// This module decides which part of each source image ends up in its tile.
+// A crop rect is always in source image pixels, as `{ x, y, width, height }`.
+// The "cover" crop is simply the centered window, while the "smart" crop slides that same window
+// towards whichever part of the image has the most detail, so that off-center subjects stay in frame.
+
+// Images are downsampled so that their longest side is this many pixels before measuring detail.
+const SMART_CROP_SAMPLE_SIZE = 96;
+// Windows whose detail is within this fraction of the best window count as a tie. Ties go to the most centered window.
+const SMART_CROP_TOLERANCE = 0.02;
+
+// This function returns the size of the largest window with the same aspect ratio as a `tileWidth` x `tileHeight` tile
+// that fits inside an `imageWidth` x `imageHeight` image.
+function getCropSize(imageWidth, imageHeight, tileWidth, tileHeight) {
+    const scale = Math.max(tileWidth / imageWidth, tileHeight / imageHeight);
+    return {
+        width: Math.min(imageWidth, Math.round(tileWidth / scale)),
+        height: Math.min(imageHeight, Math.round(tileHeight / scale))
+    };
+}
+
+// This function returns the centered crop rect that `Jimp`'s `cover()` method uses.
+function getCoverCropRect(imageWidth, imageHeight, tileWidth, tileHeight) {
+    const { width, height } = getCropSize(imageWidth, imageHeight, tileWidth, tileHeight);
+    return {
+        x: Math.round((imageWidth - width) / 2),
+        y: Math.round((imageHeight - height) / 2),
+        width,
+        height
+    };
+}
+
+// This function returns the "energy" of every pixel of a `Jimp` image as a flat array of
+// `width * height` numbers. Energy is the luminance gradient, so edges and texture score high
+// and flat areas like sky or studio backgrounds score low.
+function getEnergyMap(image) {
+    const { width, height, data } = image.bitmap;
+    const luminance = new Float64Array(width * height);
+    for (let i = 0; i < width * height; i++) {
+        luminance[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    }
+
+    const energy = new Float64Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const left = luminance[y * width + Math.max(0, x - 1)];
+            const right = luminance[y * width + Math.min(width - 1, x + 1)];
+            const up = luminance[Math.max(0, y - 1) * width + x];
+            const down = luminance[Math.min(height - 1, y + 1) * width + x];
+            energy[y * width + x] = Math.abs(right - left) + Math.abs(down - up);
+        }
+    }
+
+    return energy;
+}
+
+// This function returns the offset of the `windowSize`-long window along `lineEnergies` with the most energy.
+// `lineEnergies` contains the total energy of each column (or row) of the image.
+function findBestWindowOffset(lineEnergies, windowSize) {
+    const numOffsets = lineEnergies.length - windowSize + 1;
+    const centerOffset = (lineEnergies.length - windowSize) / 2;
+
+    let windowEnergy = 0;
+    for (let i = 0; i < windowSize; i++) {
+        windowEnergy += lineEnergies[i];
+    }
+
+    const windowEnergies = [windowEnergy];
+    for (let offset = 1; offset < numOffsets; offset++) {
+        windowEnergy += lineEnergies[offset + windowSize - 1] - lineEnergies[offset - 1];
+        windowEnergies.push(windowEnergy);
+    }
+
+    const maxEnergy = Math.max(...windowEnergies);
+    let bestOffset = 0;
+    let bestDistanceFromCenter = Infinity;
+    windowEnergies.forEach((currentEnergy, offset) => {
+        const distanceFromCenter = Math.abs(offset - centerOffset);
+        if (currentEnergy >= maxEnergy * (1 - SMART_CROP_TOLERANCE) && distanceFromCenter < bestDistanceFromCenter) {
+            bestOffset = offset;
+            bestDistanceFromCenter = distanceFromCenter;
+        }
+    });
+
+    return bestOffset;
+}
+
+// This function returns a content-aware crop rect for a `Jimp` image and a `tileWidth` x `tileHeight` tile.
+// The window is the same size as the "cover" crop, but it slides along the image's longer axis
+// to wherever there's the most detail.
+function getSmartCropRect(image, tileWidth, tileHeight) {
+    const imageWidth = image.bitmap.width;
+    const imageHeight = image.bitmap.height;
+    const cropRect = getCoverCropRect(imageWidth, imageHeight, tileWidth, tileHeight);
+
+    // The window already covers the whole image, so there's nothing to choose.
+    if (cropRect.width === imageWidth && cropRect.height === imageHeight) {
+        return cropRect;
+    }
+
+    const sample = image.clone();
+    if (imageWidth > SMART_CROP_SAMPLE_SIZE || imageHeight > SMART_CROP_SAMPLE_SIZE) {
+        sample.scaleToFit({ w: SMART_CROP_SAMPLE_SIZE, h: SMART_CROP_SAMPLE_SIZE });
+    }
+    const sampleWidth = sample.bitmap.width;
+    const sampleHeight = sample.bitmap.height;
+    const energy = getEnergyMap(sample);
+
+    if (cropRect.width < imageWidth) {
+        // The window slides left and right.
+        const columnEnergies = new Array(sampleWidth).fill(0);
+        energy.forEach((pixelEnergy, i) => { columnEnergies[i % sampleWidth] += pixelEnergy; });
+
+        const windowSize = Math.max(1, Math.round(cropRect.width * sampleWidth / imageWidth));
+        const offset = findBestWindowOffset(columnEnergies, Math.min(windowSize, sampleWidth));
+        cropRect.x = Math.min(imageWidth - cropRect.width, Math.round(offset * imageWidth / sampleWidth));
+    } else {
+        // The window slides up and down.
+        const rowEnergies = new Array(sampleHeight).fill(0);
+        energy.forEach((pixelEnergy, i) => { rowEnergies[Math.floor(i / sampleWidth)] += pixelEnergy; });
+
+        const windowSize = Math.max(1, Math.round(cropRect.height * sampleHeight / imageHeight));
+        const offset = findBestWindowOffset(rowEnergies, Math.min(windowSize, sampleHeight));
+        cropRect.y = Math.min(imageHeight - cropRect.height, Math.round(offset * imageHeight / sampleHeight));
+    }
+
+    return cropRect;
+}
+
+module.exports = {
+    getCoverCropRect,
+    getSmartCropRect,
+};
@@ -0,0 +1,84 @@
+// This module draws the finishing touches around each tile in the output image:
+// colored borders, rounded corners, and text captions.
+const { Jimp, loadFont, measureText } = require('jimp');
+const fonts = require('jimp/fonts');
+
+// Tiles narrower than this many pixels get the small caption font.
+const LARGE_CAPTION_MIN_TILE_WIDTH = 96;
+// The space between the bottom of a tile and the top of its caption, in pixels.
+const CAPTION_PADDING = 4;
+
+// This function returns a new `width` x `height` image with `tile` centered inside a
+// `borderWidth`-pixel border of `borderColor`. `borderColor` is a `Jimp` color number.
+function frameTile(tile, width, height, borderWidth, borderColor) {
+    const frame = new Jimp({ width, height, color: borderColor });
+    return frame.composite(tile, borderWidth, borderWidth);
+}
+
+// This function makes the pixels outside a rounded rectangle with corners of `radius` pixels transparent, in place.
+// Pixels along the curve are partially transparent, so the corners look smooth.
+function roundCorners(image, radius) {
+    const { width, height, data } = image.bitmap;
+    radius = Math.min(radius, width / 2, height / 2);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            // The distance from this pixel's center to the center of its corner's circle, if it's in a corner at all.
+            const dx = Math.max(0, radius - (x + 0.5), (x + 0.5) - (width - radius));
+            const dy = Math.max(0, radius - (y + 0.5), (y + 0.5) - (height - radius));
+            if (dx === 0 || dy === 0) {
+                continue;
+            }
+
+            const coverage = Math.max(0, Math.min(1, radius - Math.sqrt(dx * dx + dy * dy) + 0.5));
+            const alphaIndex = (y * width + x) * 4 + 3;
+            data[alphaIndex] = Math.round(data[alphaIndex] * coverage);
+        }
+    }
+
+    return image;
+}
+
+// This function loads a caption font that suits `tileWidth` and reads well on `backgroundColor`,
+// which is a `Jimp` color number. Transparent backgrounds get black text.
+async function loadCaptionFont(tileWidth, backgroundColor) {
+    const r = (backgroundColor >>> 24) & 0xff;
+    const g = (backgroundColor >>> 16) & 0xff;
+    const b = (backgroundColor >>> 8) & 0xff;
+    const a = backgroundColor & 0xff;
+    const isDarkBackground = a >= 128 && (0.299 * r + 0.587 * g + 0.114 * b) < 128;
+
+    if (tileWidth >= LARGE_CAPTION_MIN_TILE_WIDTH) {
+        return loadFont(isDarkBackground ? fonts.SANS_16_WHITE : fonts.SANS_16_BLACK);
+    }
+    return loadFont(isDarkBackground ? fonts.SANS_8_WHITE : fonts.SANS_8_BLACK);
+}
+
+// This function returns the height of a caption written in `font`, including its padding.
+function getCaptionHeight(font) {
+    return font.common.lineHeight + CAPTION_PADDING;
+}
+
+// This function prints `text` in `font` under a tile whose rect is `rect`, in place.
+// Text that's wider than the tile is cut short with an ellipsis.
+function drawCaption(image, font, text, rect) {
+    let caption = String(text);
+    if (measureText(font, caption) > rect.width) {
+        while (caption.length > 0 && measureText(font, caption + '...') > rect.width) {
+            caption = caption.slice(0, -1);
+        }
+        caption += '...';
+    }
+
+    const x = rect.x + Math.max(0, Math.round((rect.width - measureText(font, caption)) / 2));
+    image.print({ font, x, y: rect.y + rect.height + CAPTION_PADDING, text: caption });
+    return image;
+}
+
+module.exports = {
+    frameTile,
+    roundCorners,
+    loadCaptionFont,
+    getCaptionHeight,
+    drawCaption,
+};
@@ -0,0 +1,323 @@
+// This module finds near-duplicate images, like bursts and re-edits of the same shot, using perceptual hashes.
+// A perceptual hash is a 64-bit fingerprint of what an image looks like. Unlike a checksum, similar-looking
+// images get similar hashes, so the number of bits that differ (the Hamming distance) says how alike two images are.
+// Hashes are stored as 16-character hex strings, so they survive a trip through the JSON cache.
+const { escapeHTML } = require('./manifest');
+const { escapeCSV } = require('./report');
+const { oklabDistance } = require('./mosaic');
+
+// Define the possible perceptual hashes in this 'enum'.
+const HASH_METHODS = {
+    // Average hash: is each pixel of an 8x8 thumbnail brighter than the average? Fast, but easily fooled by edits.
+    'AHASH': 'ahash',
+    // Difference hash: is each pixel of a 9x8 thumbnail brighter than its right-hand neighbor?
+    'DHASH': 'dhash',
+    // Perceptual hash: which of the lowest frequencies of a 32x32 thumbnail are stronger than the median?
+    // The slowest, but the best at ignoring re-edits like brightness, contrast, and color changes.
+    'PHASH': 'phash',
+};
+
+// Define the ways of choosing which image to keep from each group of near-duplicates in this 'enum'.
+const DUPLICATE_KEEPS = {
+    // Keep the image with the most pixels.
+    'RESOLUTION': 'resolution',
+    // Keep the image with the most fine detail, i.e. the one that's least blurry.
+    'SHARPNESS': 'sharpness',
+    // Keep the image whose filename comes first.
+    'FILENAME': 'filename',
+};
+
+// Images are squashed to this size before measuring sharpness, so that big and small copies of a photo compare fairly.
+const SHARPNESS_SAMPLE_SIZE = 256;
+// The size of the thumbnail whose frequencies make up the `phash`.
+const PHASH_SAMPLE_SIZE = 32;
+// The `phash` uses this many of the lowest frequencies in each direction.
+const PHASH_FREQUENCIES = 8;
+
+// This function returns the luminance of every pixel of a `Jimp` image, resized to `width` x `height`.
+function getLuminance(image, width, height) {
+    const { data } = image.clone().resize({ w: width, h: height }).bitmap;
+    const luminance = new Float64Array(width * height);
+    for (let i = 0; i < width * height; i++) {
+        luminance[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    }
+    return luminance;
+}
+
+// This function packs an array of 64 booleans into a 16-character hex string.
+function bitsToHex(bits) {
+    let hex = '';
+    for (let i = 0; i < bits.length; i += 4) {
+        hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+    }
+    return hex;
+}
+
+// This function returns the average hash of a `Jimp` image.
+function getAverageHash(image) {
+    const luminance = getLuminance(image, 8, 8);
+    const mean = luminance.reduce((sum, value) => { return sum + value; }, 0) / luminance.length;
+    return bitsToHex(Array.from(luminance, (value) => { return value > mean ? 1 : 0; }));
+}
+
+// This function returns the difference hash of a `Jimp` image.
+function getDifferenceHash(image) {
+    const luminance = getLuminance(image, 9, 8);
+    const bits = [];
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            bits.push(luminance[y * 9 + x] > luminance[y * 9 + x + 1] ? 1 : 0);
+        }
+    }
+    return bitsToHex(bits);
+}
+
+// This function returns the perceptual hash of a `Jimp` image. We only need the lowest
+// `PHASH_FREQUENCIES` x `PHASH_FREQUENCIES` coefficients of the thumbnail's discrete cosine transform,
+// so we work those out directly instead of transforming the whole thing.
+function getPerceptualHash(image) {
+    const size = PHASH_SAMPLE_SIZE;
+    const luminance = getLuminance(image, size, size);
+
+    const cosines = [];
+    for (let frequency = 0; frequency < PHASH_FREQUENCIES; frequency++) {
+        const row = new Float64Array(size);
+        for (let x = 0; x < size; x++) {
+            row[x] = Math.cos((2 * x + 1) * frequency * Math.PI / (2 * size));
+        }
+        cosines.push(row);
+    }
+
+    const coefficients = [];
+    for (let v = 0; v < PHASH_FREQUENCIES; v++) {
+        for (let u = 0; u < PHASH_FREQUENCIES; u++) {
+            let coefficient = 0;
+            for (let y = 0; y < size; y++) {
+                for (let x = 0; x < size; x++) {
+                    coefficient += luminance[y * size + x] * cosines[u][x] * cosines[v][y];
+                }
+            }
+            coefficients.push(coefficient);
+        }
+    }
+
+    // The very first coefficient is just the image's overall brightness, so it's left out of the median.
+    const sorted = coefficients.slice(1).sort((a, b) => { return a - b; });
+    const median = (sorted[Math.floor(sorted.length / 2) - 1] + sorted[Math.floor(sorted.length / 2)]) / 2;
+    return bitsToHex(coefficients.map((coefficient) => { return coefficient > median ? 1 : 0; }));
+}
+
+// This function returns every kind of perceptual hash of a `Jimp` image, as `{ ahash, dhash, phash }`.
+// They're cheap next to reading the image, so we work them all out at once and can switch methods without reading it again.
+function getPerceptualHashes(image) {
+    return {
+        [HASH_METHODS.AHASH]: getAverageHash(image),
+        [HASH_METHODS.DHASH]: getDifferenceHash(image),
+        [HASH_METHODS.PHASH]: getPerceptualHash(image)
+    };
+}
+
+// This function returns how sharp a `Jimp` image is, as the variance of its Laplacian.
+// Blurry images have soft edges and a low variance, and sharp images have crisp edges and a high one.
+function getSharpness(image) {
+    const size = SHARPNESS_SAMPLE_SIZE;
+    const luminance = getLuminance(image, size, size);
+
+    let sum = 0;
+    let sumOfSquares = 0;
+    let count = 0;
+    for (let y = 1; y < size - 1; y++) {
+        for (let x = 1; x < size - 1; x++) {
+            const i = y * size + x;
+            const laplacian = luminance[i - 1] + luminance[i + 1] + luminance[i - size] + luminance[i + size] - 4 * luminance[i];
+            sum += laplacian;
+            sumOfSquares += laplacian * laplacian;
+            count++;
+        }
+    }
+
+    const mean = sum / count;
+    return sumOfSquares / count - mean * mean;
+}
+
+// This function returns the number of bits that differ between two hashes from `getPerceptualHashes()`.
+function getHammingDistance(hashA, hashB) {
+    let distance = 0;
+    // JavaScript's bitwise operators only work on 32 bits at a time.
+    for (let i = 0; i < hashA.length; i += 8) {
+        let difference = (parseInt(hashA.substring(i, i + 8), 16) ^ parseInt(hashB.substring(i, i + 8), 16)) >>> 0;
+        while (difference) {
+            difference &= difference - 1;
+            distance++;
+        }
+    }
+    return distance;
+}
+
+// This function returns `true` if image data Object `a` is a better one to keep than `b`, according to `keep`.
+// Ties always go to the image whose filename comes first, so the choice never depends on the order we read images in.
+function isBetterToKeep(a, b, keep) {
+    let difference = 0;
+    if (keep === DUPLICATE_KEEPS.RESOLUTION) {
+        difference = a.width * a.height - b.width * b.height;
+    } else if (keep === DUPLICATE_KEEPS.SHARPNESS) {
+        difference = a.sharpness - b.sharpness;
+    }
+    return difference !== 0 ? difference > 0 : a.imageFilename.localeCompare(b.imageFilename) < 0;
+}
+
+// This function groups the elements of `imageDataArray` whose `hash`es are within `threshold` bits of each other,
+// and whose `colorInfo.oklab` colors (the colors picked by `colorMethod`) are within `colorThreshold` of each other. Hashes only look at brightness,
+// so without the color check, i.e. a red and a blue version of the same logo would be grouped together.
+// Groups are chained, so if A is close to B and B is close to C, all three are in one group even if A and C aren't close.
+// It returns `{ imageDataArray, duplicates }`, where `imageDataArray` has one representative per group,
+// chosen according to `keep` (see `DUPLICATE_KEEPS`), in the same order as the input.
+// `duplicates` lists each group with more than one image as `{ kept, dropped }`, where `dropped` is an array of
+// image data Objects, each with the `distance` from its hash to the `kept` image's hash.
+function removeDuplicates(imageDataArray, { threshold, colorThreshold, keep }) {
+    // A tiny union-find, so that chained groups end up with the same root.
+    const parents = imageDataArray.map((currentImageData, index) => { return index; });
+    const findRoot = (index) => {
+        while (parents[index] !== index) {
+            parents[index] = parents[parents[index]];
+            index = parents[index];
+        }
+        return index;
+    };
+
+    for (let i = 0; i < imageDataArray.length; i++) {
+        for (let j = i + 1; j < imageDataArray.length; j++) {
+            if (getHammingDistance(imageDataArray[i].hash, imageDataArray[j].hash) <= threshold &&
+                oklabDistance(imageDataArray[i].colorInfo.oklab, imageDataArray[j].colorInfo.oklab) <= colorThreshold) {
+                parents[findRoot(j)] = findRoot(i);
+            }
+        }
+    }
+
+    const groups = new Map();
+    imageDataArray.forEach((currentImageData, index) => {
+        const root = findRoot(index);
+        if (!groups.has(root)) {
+            groups.set(root, []);
+        }
+        groups.get(root).push(currentImageData);
+    });
+
+    const keptImageData = new Set();
+    const duplicates = [];
+    groups.forEach((group) => {
+        const kept = group.reduce((best, currentImageData) => { return isBetterToKeep(currentImageData, best, keep) ? currentImageData : best; });
+        keptImageData.add(kept);
+        if (group.length > 1) {
+            duplicates.push({
+                kept,
+                dropped: group.filter((currentImageData) => { return currentImageData !== kept; }).map((currentImageData) => {
+                    return Object.assign({}, currentImageData, { distance: getHammingDistance(currentImageData.hash, kept.hash) });
+                })
+            });
+        }
+    });
+
+    return {
+        imageDataArray: imageDataArray.filter((currentImageData) => { return keptImageData.has(currentImageData); }),
+        duplicates
+    };
+}
+
+// This function builds a report Object about the groups of near-duplicates that `removeDuplicates()` found.
+function createDuplicatesReport(duplicates, options) {
+    const describeImage = (currentImageData) => {
+        return {
+            imageFilename: currentImageData.imageFilename,
+            imagePath: currentImageData.imagePath,
+            width: currentImageData.width,
+            height: currentImageData.height,
+            sharpness: Math.round(currentImageData.sharpness * 100) / 100,
+            hash: currentImageData.hash
+        };
+    };
+
+    return {
+        generatedAt: new Date().toISOString(),
+        inputDirectory: options.inputDirectory,
+        dedupeHash: options.dedupeHash,
+        dedupeThreshold: options.dedupeThreshold,
+        dedupeColorThreshold: options.dedupeColorThreshold,
+        dedupeKeep: options.dedupeKeep,
+        summary: {
+            numGroups: duplicates.length,
+            numDropped: duplicates.reduce((sum, group) => { return sum + group.dropped.length; }, 0)
+        },
+        groups: duplicates.map((group) => {
+            return {
+                kept: describeImage(group.kept),
+                dropped: group.dropped.map((currentImageData) => {
+                    return Object.assign(describeImage(currentImageData), { distance: currentImageData.distance });
+                })
+            };
+        })
+    };
+}
+
+// This function returns a duplicates report as CSV, with one row per image in every group.
+function createDuplicatesReportCSV(report) {
+    const columns = ['group', 'kept', 'imageFilename', 'imagePath', 'width', 'height', 'sharpness', 'hash', 'distance'];
+    const rows = [];
+    report.groups.forEach((group, groupIndex) => {
+        [Object.assign({ kept: true, distance: 0 }, group.kept)].concat(group.dropped.map((image) => { return Object.assign({ kept: false }, image); })).forEach((image) => {
+            image.group = groupIndex + 1;
+            rows.push(columns.map((column) => { return escapeCSV(image[column]); }).join(','));
+        });
+    });
+
+    return [columns.join(',')].concat(rows).join('\n') + '\n';
+}
+
+// This function returns a duplicates report as a standalone HTML page, with thumbnails of every group side by side.
+// Thumbnails link to the original files, so this page only works on the computer that made it.
+function createDuplicatesReportHTML(report) {
+    const describeImage = (image, isKept) => {
+        const src = image.imagePath ? `file://${encodeURI(image.imagePath.split('\\').join('/'))}` : '';
+        return `<figure class="${isKept ? 'kept' : 'dropped'}"><a href="${escapeHTML(src)}"><img src="${escapeHTML(src)}" alt="${escapeHTML(image.imageFilename)}" loading="lazy"></a>` +
+            `<figcaption>${isKept ? '<b>kept</b>' : `dropped <small>(distance ${image.distance})</small>`}<br>${escapeHTML(image.imageFilename)}<br><small>${image.width}x${image.height}, sharpness ${image.sharpness}</small></figcaption></figure>`;
+    };
+
+    const groupSections = report.groups.map((group, groupIndex) => {
+        return `<section><h2>Group ${groupIndex + 1}</h2>\n<div class="group">${[describeImage(group.kept, true)].concat(group.dropped.map((image) => { return describeImage(image, false); })).join('')}</div></section>`;
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Duplicates Report - ${escapeHTML(report.inputDirectory || '')}</title>
+<style>
+body { margin: 0; padding: 16px; background: #1e1e1e; color: #eee; font-family: sans-serif; }
+.group { display: flex; flex-wrap: wrap; gap: 12px; }
+figure { margin: 0; width: 200px; font-size: 13px; word-break: break-all; }
+figure img { display: block; width: 200px; height: 200px; object-fit: contain; background: #111; }
+figure.kept img { outline: 3px solid #4c4; }
+figure.dropped img { opacity: 0.6; }
+</style>
+</head>
+<body>
+<h1>Duplicates Report</h1>
+<p>Found ${report.summary.numGroups} group(s) of near-duplicates in <code>${escapeHTML(report.inputDirectory || '')}</code> using <code>${escapeHTML(report.dedupeHash)}</code> within ${report.dedupeThreshold} bit(s) and a color difference of ${report.dedupeColorThreshold}, keeping the best by <code>${escapeHTML(report.dedupeKeep)}</code>. ${report.summary.numDropped} image(s) would be dropped. Generated ${escapeHTML(report.generatedAt)}.</p>
+${groupSections.length > 0 ? groupSections.join('\n') : '<p>None! Every image is one of a kind.</p>'}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    HASH_METHODS,
+    DUPLICATE_KEEPS,
+    getPerceptualHashes,
+    getSharpness,
+    getHammingDistance,
+    removeDuplicates,
+    createDuplicatesReport,
+    createDuplicatesReportCSV,
+    createDuplicatesReportHTML,
+};
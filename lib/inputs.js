@@ -0,0 +1,132 @@
+// This module finds the input images: inside a directory (and, optionally, its subdirectories),
+// filtered by glob patterns, or listed one per line in a text file.
+const fs = require('fs');
+const path = require('path');
+
+// Files with these extensions are images that Jimp knows how to decode.
+const SUPPORTED_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.bmp', '.gif', '.tif', '.tiff'];
+
+// This function returns `true` if `filename` ends in one of the `SUPPORTED_EXTENSIONS`.
+// Only the real extension counts, so `photo.png.bak` isn't an image.
+function isInputImageFilename(filename) {
+    return SUPPORTED_EXTENSIONS.includes(path.extname(filename).toLowerCase());
+}
+
+// This function turns a glob pattern into a `RegExp`. We support:
+// `*` (anything but a `/`), `**` (anything at all, including `/`), `?` (one character but a `/`),
+// `[abc]` (one of those characters), and `{jpg,png}` (one of those alternatives).
+function globToRegExp(pattern) {
+    let regExpSource = '';
+    let braceDepth = 0;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const character = pattern[i];
+        if (character === '*') {
+            if (pattern[i + 1] === '*') {
+                // `**/` also matches no directories at all, so `**/*.jpg` matches `a.jpg`.
+                if (pattern[i + 2] === '/') {
+                    regExpSource += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    regExpSource += '.*';
+                    i++;
+                }
+            } else {
+                regExpSource += '[^/]*';
+            }
+        } else if (character === '?') {
+            regExpSource += '[^/]';
+        } else if (character === '[') {
+            const end = pattern.indexOf(']', i + 1);
+            if (end === -1) {
+                regExpSource += '\\[';
+            } else {
+                regExpSource += `[${pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+                i = end;
+            }
+        } else if (character === '{') {
+            braceDepth++;
+            regExpSource += '(?:';
+        } else if (character === '}' && braceDepth > 0) {
+            braceDepth--;
+            regExpSource += ')';
+        } else if (character === ',' && braceDepth > 0) {
+            regExpSource += '|';
+        } else {
+            regExpSource += character.replace(/[.+^$()|\\{}\]]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${regExpSource}$`, 'i');
+}
+
+// This function returns `true` if `relativePath` matches any of `patterns`.
+// `relativePath` uses `/` between directories, whatever the platform.
+// Like `.gitignore`, a pattern without a `/` is matched against the filename alone, so `*_thumb.jpg` works at any depth.
+function matchesAnyGlob(relativePath, patterns) {
+    return patterns.some((pattern) => {
+        const regExp = globToRegExp(pattern);
+        return pattern.includes('/') ? regExp.test(relativePath) : regExp.test(path.posix.basename(relativePath));
+    });
+}
+
+// This function returns the paths of all supported images inside `inputDirectory`.
+// Set `recursive` to `true` to look inside subdirectories, too.
+// If `include` has any glob patterns, only images matching at least one of them are used.
+// Images matching any of the `exclude` glob patterns are never used.
+function getInputImagePaths(inputDirectory, { recursive = false, include = [], exclude = [] } = {}) {
+    const imagePaths = [];
+
+    const readDirectory = (relativeDirectory) => {
+        fs.readdirSync(path.join(inputDirectory, relativeDirectory), { withFileTypes: true }).forEach((entry) => {
+            const relativePath = relativeDirectory ? `${relativeDirectory}/${entry.name}` : entry.name;
+
+            if (entry.isDirectory()) {
+                if (recursive) {
+                    readDirectory(relativePath);
+                }
+                return;
+            }
+
+            if (!isInputImageFilename(entry.name)) {
+                return;
+            }
+            if (include.length > 0 && !matchesAnyGlob(relativePath, include)) {
+                return;
+            }
+            if (exclude.length > 0 && matchesAnyGlob(relativePath, exclude)) {
+                return;
+            }
+
+            imagePaths.push(path.join(inputDirectory, relativePath));
+        });
+    };
+    readDirectory('');
+
+    return imagePaths;
+}
+
+// This function reads the paths of input images from `inputListFilename`, which lists one path per line.
+// Blank lines and lines starting with `#` are ignored. Relative paths are relative to the list file itself.
+function readInputList(inputListFilename) {
+    let text;
+    try {
+        text = fs.readFileSync(inputListFilename, 'utf8');
+    } catch (error) {
+        throw new Error(`Couldn't read the input list \`${inputListFilename}\`! Error:\n${error.message || error}`);
+    }
+
+    const listDirectory = path.dirname(inputListFilename);
+    return text.split(/\r?\n/)
+        .map((line) => { return line.trim(); })
+        .filter((line) => { return line.length > 0 && !line.startsWith('#'); })
+        .map((line) => { return path.resolve(listDirectory, line); });
+}
+
+module.exports = {
+    SUPPORTED_EXTENSIONS,
+    isInputImageFilename,
+    globToRegExp,
+    getInputImagePaths,
+    readInputList,
+};
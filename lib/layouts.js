@@ -0,0 +1,347 @@
+// This module decides where each sorted image goes in the output grid.
+// The simple layouts walk the grid in a fixed order and place the 1D sort along that walk.
+// The annealed layout instead rearranges the images in two dimensions so that
+// every image's neighbors - across rows _and_ columns - are as similar in color as possible.
+// The justified and masonry layouts aren't grids at all: every image keeps its own aspect ratio.
+
+// This function returns the cells of a `numRows` x `numColumns` grid in row-major order.
+function getRowMajorPositions(numRows, numColumns) {
+    const positions = [];
+    for (let row = 0; row < numRows; row++) {
+        for (let column = 0; column < numColumns; column++) {
+            positions.push({ row, column });
+        }
+    }
+    return positions;
+}
+
+// This function returns the cells of a `numRows` x `numColumns` grid in column-major order.
+function getColumnMajorPositions(numRows, numColumns) {
+    const positions = [];
+    for (let column = 0; column < numColumns; column++) {
+        for (let row = 0; row < numRows; row++) {
+            positions.push({ row, column });
+        }
+    }
+    return positions;
+}
+
+// This function returns the cells of a `numRows` x `numColumns` grid one anti-diagonal at a time,
+// starting from the top left. Each diagonal is walked from bottom left to top right.
+function getDiagonalPositions(numRows, numColumns) {
+    const positions = [];
+    const diagonals = numRows + numColumns - 1;
+
+    for (let d = 0; d < diagonals; d++) {
+        let [row, column] = d < numRows ? [d, 0] : [numRows - 1, d - numRows + 1];
+
+        while ((row >= 0) && (column < numColumns)) {
+            positions.push({ row, column });
+            row -= 1;
+            column += 1;
+        }
+    }
+    return positions;
+}
+
+// This function returns the cells of a `numRows` x `numColumns` grid in a "snake" order:
+// left to right along the first row, right to left along the second row, and so on.
+// Unlike row-major order, consecutive images are always next to each other.
+function getSerpentinePositions(numRows, numColumns) {
+    const positions = [];
+    for (let row = 0; row < numRows; row++) {
+        for (let i = 0; i < numColumns; i++) {
+            positions.push({ row, column: row % 2 === 0 ? i : numColumns - 1 - i });
+        }
+    }
+    return positions;
+}
+
+// This function returns the cells of a `numRows` x `numColumns` grid along a generalized Hilbert curve.
+// Hilbert curves keep images that are close together in the 1D sort close together in 2D, too.
+// Regular Hilbert curves only fill power-of-two squares, so this uses the "gilbert" algorithm,
+// which fills any rectangle: https://github.com/jakubcerveny/gilbert
+// Thanks, Jakub Červený!
+function getHilbertPositions(numRows, numColumns) {
+    const positions = [];
+
+    const generate = (x, y, ax, ay, bx, by) => {
+        const w = Math.abs(ax + ay);
+        const h = Math.abs(bx + by);
+
+        const dax = Math.sign(ax), day = Math.sign(ay);
+        const dbx = Math.sign(bx), dby = Math.sign(by);
+
+        // Trivial row fill...
+        if (h === 1) {
+            for (let i = 0; i < w; i++) {
+                positions.push({ row: y, column: x });
+                x += dax;
+                y += day;
+            }
+            return;
+        }
+
+        // ...or trivial column fill.
+        if (w === 1) {
+            for (let i = 0; i < h; i++) {
+                positions.push({ row: y, column: x });
+                x += dbx;
+                y += dby;
+            }
+            return;
+        }
+
+        let ax2 = Math.floor(ax / 2), ay2 = Math.floor(ay / 2);
+        let bx2 = Math.floor(bx / 2), by2 = Math.floor(by / 2);
+
+        const w2 = Math.abs(ax2 + ay2);
+        const h2 = Math.abs(bx2 + by2);
+
+        if (2 * w > 3 * h) {
+            // Prefer even steps.
+            if ((w2 % 2) && (w > 2)) {
+                ax2 += dax;
+                ay2 += day;
+            }
+
+            // Long case: split in two parts only.
+            generate(x, y, ax2, ay2, bx, by);
+            generate(x + ax2, y + ay2, ax - ax2, ay - ay2, bx, by);
+        } else {
+            // Prefer even steps.
+            if ((h2 % 2) && (h > 2)) {
+                bx2 += dbx;
+                by2 += dby;
+            }
+
+            // Standard case: one step up, one long horizontal, one step down.
+            generate(x, y, bx2, by2, ax2, ay2);
+            generate(x + bx2, y + by2, ax, ay, bx - bx2, by - by2);
+            generate(x + (ax - dax) + (bx2 - dbx), y + (ay - day) + (by2 - dby), -bx2, -by2, -(ax - ax2), -(ay - ay2));
+        }
+    };
+
+    if (numColumns >= numRows) {
+        generate(0, 0, numColumns, 0, 0, numRows);
+    } else {
+        generate(0, 0, 0, numRows, numColumns, 0);
+    }
+
+    return positions;
+}
+
+// A tiny seedable pseudo-random number generator (mulberry32), so that
+// annealed layouts come out exactly the same every time for the same input.
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// This function rearranges `colors` (an array of OKLab { l, a, b } objects, one per image)
+// on a `numRows` x `numColumns` grid using swap-based simulated annealing.
+// The annealer minimizes the total color distance between every pair of horizontally
+// or vertically adjacent images, which makes the whole grid read as one smooth 2D gradient.
+// `initialPositions` is the starting placement of each color, i.e. from `getHilbertPositions()`.
+// Returns an array of { row, column } positions, one per color.
+function annealPositions(colors, initialPositions, numRows, numColumns, { iterationsPerImage = 400, seed = 1 } = {}) {
+    const random = createRandom(seed);
+
+    // `grid[row * numColumns + column]` holds the index of the color in that cell, or -1 if it's empty.
+    const grid = new Array(numRows * numColumns).fill(-1);
+    const positions = initialPositions.slice(0, colors.length).map((position, colorIndex) => {
+        grid[position.row * numColumns + position.column] = colorIndex;
+        return { row: position.row, column: position.column };
+    });
+    // Only the cells that hold an image take part in swaps. Empty cells stay where they are.
+    const occupiedCells = positions.map((position) => { return position.row * numColumns + position.column; });
+
+    if (colors.length < 2) {
+        return positions;
+    }
+
+    const distance = (a, b) => {
+        const dl = a.l - b.l, da = a.a - b.a, db = a.b - b.b;
+        return Math.sqrt(dl * dl + da * da + db * db);
+    };
+
+    // This function returns the sum of the color distances between
+    // the color `colorIndex` and the occupied neighbors of `cell`, ignoring the cell `ignoredCell`.
+    const cellCost = (cell, colorIndex, ignoredCell) => {
+        const row = Math.floor(cell / numColumns);
+        const column = cell % numColumns;
+        let cost = 0;
+
+        const addNeighbor = (neighborCell) => {
+            if (neighborCell === ignoredCell || grid[neighborCell] === -1) {
+                return;
+            }
+            cost += distance(colors[colorIndex], colors[grid[neighborCell]]);
+        };
+
+        if (row > 0) addNeighbor(cell - numColumns);
+        if (row < numRows - 1) addNeighbor(cell + numColumns);
+        if (column > 0) addNeighbor(cell - 1);
+        if (column < numColumns - 1) addNeighbor(cell + 1);
+
+        return cost;
+    };
+
+    // Start the temperature at the average neighbor distance, then cool geometrically.
+    let totalCost = 0;
+    occupiedCells.forEach((cell) => {
+        totalCost += cellCost(cell, grid[cell], -1);
+    });
+    const startTemperature = Math.max(totalCost / (occupiedCells.length * 4), 1e-6);
+    const endTemperature = startTemperature / 1000;
+    const iterations = iterationsPerImage * colors.length;
+    const coolingRate = Math.pow(endTemperature / startTemperature, 1 / iterations);
+    let temperature = startTemperature;
+
+    for (let iteration = 0; iteration < iterations; iteration++) {
+        const cellA = occupiedCells[Math.floor(random() * occupiedCells.length)];
+        const cellB = occupiedCells[Math.floor(random() * occupiedCells.length)];
+
+        if (cellA !== cellB) {
+            const colorA = grid[cellA];
+            const colorB = grid[cellB];
+
+            // The neighbors of A and B are the only things that change when we swap them.
+            // If A and B are neighbors of each other, the distance between them doesn't change, so we ignore it.
+            const before = cellCost(cellA, colorA, cellB) + cellCost(cellB, colorB, cellA);
+            const after = cellCost(cellA, colorB, cellB) + cellCost(cellB, colorA, cellA);
+            const delta = after - before;
+
+            if (delta < 0 || random() < Math.exp(-delta / temperature)) {
+                grid[cellA] = colorB;
+                grid[cellB] = colorA;
+            }
+        }
+
+        temperature *= coolingRate;
+    }
+
+    occupiedCells.forEach((cell) => {
+        positions[grid[cell]] = { row: Math.floor(cell / numColumns), column: cell % numColumns };
+    });
+
+    return positions;
+}
+
+// This function lays images out in justified rows, like Flickr does.
+// `aspectRatios` contains the width / height of each image, in sorted order.
+// Images fill each row left to right at roughly `rowHeight` pixels tall, then every row except the last
+// is scaled so that it's exactly `outputWidth` pixels wide. Every image keeps its own aspect ratio.
+// Images are `gutter` pixels apart, and each row leaves `captionHeight` pixels free under its images.
+// Returns `{ rects, width, height }`, where `rects` contains one { x, y, width, height, row, column } per image.
+function getJustifiedRects(aspectRatios, { outputWidth, rowHeight, gutter = 0, captionHeight = 0 }) {
+    const rects = [];
+    let y = 0;
+    let rowStart = 0;
+
+    // This function places the images from `rowStart` up to (but not including) `rowEnd` in one row.
+    // Each image is `widthPerAspectRatio` times its aspect ratio wide, before rounding.
+    const placeRow = (rowEnd, height, widthPerAspectRatio, row) => {
+        let rowAspectRatio = 0;
+        for (let i = rowStart; i < rowEnd; i++) {
+            rowAspectRatio += aspectRatios[i];
+        }
+
+        // Round the running total instead of each image's width so that there are no gaps between images.
+        // The widths come from the unrounded row height, so full rows end exactly at `outputWidth`.
+        let aspectRatioSoFar = 0;
+        let x = 0;
+        for (let i = rowStart; i < rowEnd; i++) {
+            aspectRatioSoFar += aspectRatios[i];
+            const column = i - rowStart;
+            const nextX = Math.round(aspectRatioSoFar * widthPerAspectRatio) + column * gutter;
+            rects.push({ x, y, width: Math.max(1, nextX - x), height, row, column });
+            x = nextX + gutter;
+        }
+
+        y += height + captionHeight + gutter;
+        rowStart = rowEnd;
+        return rowAspectRatio;
+    };
+
+    let row = 0;
+    let rowAspectRatio = 0;
+    for (let i = 0; i < aspectRatios.length; i++) {
+        rowAspectRatio += aspectRatios[i];
+        const rowGutters = (i - rowStart) * gutter;
+
+        // Once this row is at least as wide as the output at the target height, squash it to fit exactly.
+        if (rowAspectRatio * rowHeight + rowGutters >= outputWidth) {
+            const exactHeight = Math.max(1, outputWidth - rowGutters) / rowAspectRatio;
+            placeRow(i + 1, Math.max(1, Math.round(exactHeight)), exactHeight, row++);
+            rowAspectRatio = 0;
+        }
+    }
+
+    // The last row probably isn't full. Leave it at the target height instead of stretching it.
+    if (rowStart < aspectRatios.length) {
+        placeRow(aspectRatios.length, rowHeight, rowHeight, row);
+    }
+
+    return { rects, width: outputWidth, height: Math.max(0, y - gutter) };
+}
+
+// This function returns how many masonry columns about `columnWidth` pixels wide fit in `outputWidth`,
+// as `{ numColumns, maxColumnWidth }`. Columns are stretched to fill the output, so they may end up a little
+// wider than `columnWidth`, but none is ever wider than `maxColumnWidth`.
+function getMasonryColumns(outputWidth, columnWidth, gutter = 0) {
+    const numColumns = Math.max(1, Math.round((outputWidth + gutter) / (columnWidth + gutter)));
+    return { numColumns, maxColumnWidth: Math.ceil((outputWidth + gutter) / numColumns) - gutter };
+}
+
+// This function lays images out in masonry columns, like Pinterest does.
+// `aspectRatios` contains the width / height of each image, in sorted order.
+// The output is split into columns about `columnWidth` pixels wide, and each image goes at the bottom
+// of the shortest column, so the sort order runs left to right and top to bottom.
+// Images are `gutter` pixels apart, and each one leaves `captionHeight` pixels free under it.
+// Returns `{ rects, width, height }`, where `rects` contains one { x, y, width, height, row, column } per image.
+function getMasonryRects(aspectRatios, { outputWidth, columnWidth, gutter = 0, captionHeight = 0 }) {
+    const { numColumns } = getMasonryColumns(outputWidth, columnWidth, gutter);
+    const columnHeights = new Array(numColumns).fill(0);
+    const columnCounts = new Array(numColumns).fill(0);
+
+    const rects = aspectRatios.map((aspectRatio) => {
+        let column = 0;
+        for (let i = 1; i < numColumns; i++) {
+            if (columnHeights[i] < columnHeights[column]) {
+                column = i;
+            }
+        }
+
+        // Round the column edges instead of each column's width so that the columns fill the output exactly.
+        // Every column "owns" the gutter to its right, which the last column gives back.
+        const x = Math.round(column * (outputWidth + gutter) / numColumns);
+        const width = Math.max(1, Math.round((column + 1) * (outputWidth + gutter) / numColumns) - gutter - x);
+        const height = Math.max(1, Math.round(width / aspectRatio));
+        const rect = { x, y: columnHeights[column], width, height, row: columnCounts[column], column };
+
+        columnHeights[column] += height + captionHeight + gutter;
+        columnCounts[column]++;
+        return rect;
+    });
+
+    return { rects, width: outputWidth, height: Math.max(0, Math.max(...columnHeights) - gutter) };
+}
+
+module.exports = {
+    getRowMajorPositions,
+    getColumnMajorPositions,
+    getDiagonalPositions,
+    getSerpentinePositions,
+    getHilbertPositions,
+    annealPositions,
+    getJustifiedRects,
+    getMasonryColumns,
+    getMasonryRects,
+};
@@ -0,0 +1,170 @@
+// This module describes where each source image ended up in the output grid.
+// The manifest is plain JSON for other tools to read, and the viewer is a
+// self-contained HTML page with hover tooltips and links back to each original file.
+const path = require('path');
+
+// This function returns the height of each tile in a grid, in whole pixels.
+// `Jimp` can't make an image with a fractional height, so i.e. 32px at a `heightScale` of 1.6 rounds to 51px.
+function getTileHeight(pxPerImage, heightScale) {
+    return Math.round(pxPerImage * heightScale);
+}
+
+// This function returns the pixel rectangle `{ x, y, width, height }` of the tile at `gridPosition`.
+// Tiles are `gutter` pixels apart, the grid has a `margin` on every side,
+// and each row leaves `captionHeight` pixels free under its tiles.
+function getTileRect(gridPosition, pxPerImage, heightScale, { gutter = 0, margin = 0, captionHeight = 0 } = {}) {
+    return {
+        x: margin + gridPosition.column * (pxPerImage + gutter),
+        y: margin + gridPosition.row * (getTileHeight(pxPerImage, heightScale) + captionHeight + gutter),
+        width: pxPerImage,
+        height: getTileHeight(pxPerImage, heightScale)
+    };
+}
+
+// This function builds the manifest Object for a `createGrid()` result.
+// `options` should contain the options used to create the grid, plus the `outputFilename` of the grid image, if any.
+// Images that didn't get a cell in the grid (because there were more images than cells) are left out.
+function createManifest(result, options) {
+    const { numRows, numColumns, pxPerImage } = result;
+    const heightScale = options.heightScale;
+    const logger = options.logger || console;
+
+    const placedImageDataArray = result.imageDataArray.filter((currentImageData) => {
+        return currentImageData.gridPosition || currentImageData.outputRect;
+    });
+    if (placedImageDataArray.length < result.imageDataArray.length) {
+        logger.error(`There are more images than there are cells in the output grid! Only the first ${placedImageDataArray.length} images will be in the manifest.`);
+    }
+
+    return {
+        outputFilename: options.outputFilename,
+        width: result.width || numColumns * pxPerImage,
+        height: result.height || numRows * getTileHeight(pxPerImage, heightScale),
+        numRows,
+        numColumns,
+        pxPerImage,
+        heightScale,
+        layout: options.layout,
+        sortOrder: options.target ? 'mosaic' : options.sortOrder,
+        sortParameter: options.sortParameter,
+        visualizationMode: options.visualizationMode,
+        colorMethod: options.colorMethod,
+        tiles: placedImageDataArray.map((currentImageData, index) => {
+            return {
+                index,
+                row: currentImageData.gridPosition ? currentImageData.gridPosition.row : undefined,
+                column: currentImageData.gridPosition ? currentImageData.gridPosition.column : undefined,
+                rect: currentImageData.outputRect || getTileRect(currentImageData.gridPosition, pxPerImage, heightScale),
+                imageFilename: currentImageData.imageFilename,
+                imagePath: currentImageData.imagePath,
+                width: currentImageData.width,
+                height: currentImageData.height,
+                // The part of the source image that was used for this tile, in source pixels.
+                cropRect: currentImageData.cropRect,
+                colorInfo: currentImageData.colorInfo,
+                palette: currentImageData.palette
+            };
+        })
+    };
+}
+
+// This function escapes text for use inside HTML.
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// This function returns a URL for `imagePath` relative to the directory that holds the HTML page,
+// so the page's links keep working if the whole folder is moved.
+function getRelativeURL(imagePath, htmlDirectory) {
+    return path.relative(htmlDirectory, imagePath).split(path.sep).map(encodeURIComponent).join('/');
+}
+
+// This function returns a self-contained HTML page that shows the grid image with hover tooltips
+// and click-through links to each tile's original file.
+// `imageDataURI` is the grid image as a `data:` URI, and `htmlFilename` is where the page will be written.
+function createViewerHTML(manifest, imageDataURI, htmlFilename) {
+    const htmlDirectory = path.dirname(path.resolve(htmlFilename));
+
+    // Tiles are positioned in percentages, so they stay lined up with the image at any zoom level.
+    const tileElements = manifest.tiles.map((tile) => {
+        const style = [
+            `left:${tile.rect.x / manifest.width * 100}%`,
+            `top:${tile.rect.y / manifest.height * 100}%`,
+            `width:${tile.rect.width / manifest.width * 100}%`,
+            `height:${tile.rect.height / manifest.height * 100}%`
+        ].join(';');
+        const details = [`Row ${tile.row + 1}, column ${tile.column + 1}`];
+        if (tile.colorInfo) {
+            details.push(`#${tile.colorInfo.colorHexString}`);
+            details.push(`hue ${tile.colorInfo.hue}, saturation ${tile.colorInfo.saturation}, value ${tile.colorInfo.value}`);
+        }
+        const colorHex = tile.colorInfo ? `#${tile.colorInfo.colorHexString}` : '';
+        const href = tile.imagePath ? ` href="${escapeHTML(getRelativeURL(tile.imagePath, htmlDirectory))}" target="_blank"` : '';
+
+        return `<a class="tile" style="${style}"${href} data-name="${escapeHTML(tile.imageFilename)}" data-details="${escapeHTML(details.join('\n'))}" data-color="${colorHex}"></a>`;
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHTML(path.basename(manifest.outputFilename || 'Color-Sorted Image Grid'))}</title>
+<style>
+body { margin: 0; padding: 16px; background: #1e1e1e; color: #eee; font-family: sans-serif; }
+.grid { position: relative; display: inline-block; max-width: 100%; }
+.grid img { display: block; max-width: 100%; height: auto; image-rendering: pixelated; }
+.tile { position: absolute; box-sizing: border-box; }
+.tile:hover { outline: 2px solid #fff; z-index: 1; }
+#tooltip { position: fixed; display: none; pointer-events: none; padding: 8px; background: rgba(0, 0, 0, 0.85); border-radius: 4px; white-space: pre-line; font-size: 13px; z-index: 2; }
+#tooltip .swatch { display: inline-block; width: 12px; height: 12px; margin-right: 6px; vertical-align: middle; border: 1px solid #fff; }
+</style>
+</head>
+<body>
+<div class="grid">
+<img src="${imageDataURI}" width="${manifest.width}" height="${manifest.height}" alt="Color-sorted image grid">
+${tileElements.join('\n')}
+</div>
+<div id="tooltip"></div>
+<script>
+const tooltip = document.getElementById('tooltip');
+document.querySelectorAll('.tile').forEach((tile) => {
+    tile.addEventListener('mousemove', (event) => {
+        tooltip.textContent = '';
+        const name = document.createElement('strong');
+        if (tile.dataset.color) {
+            const swatch = document.createElement('span');
+            swatch.className = 'swatch';
+            swatch.style.background = tile.dataset.color;
+            tooltip.appendChild(swatch);
+        }
+        name.textContent = tile.dataset.name;
+        tooltip.appendChild(name);
+        tooltip.appendChild(document.createTextNode('\\n' + tile.dataset.details));
+        tooltip.style.display = 'block';
+        tooltip.style.left = (event.clientX + 12) + 'px';
+        tooltip.style.top = (event.clientY + 12) + 'px';
+    });
+    tile.addEventListener('mouseleave', () => {
+        tooltip.style.display = 'none';
+    });
+});
+</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    escapeHTML,
+    getRelativeURL,
+    getTileHeight,
+    getTileRect,
+    createManifest,
+    createViewerHTML,
+};
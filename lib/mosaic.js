@@ -0,0 +1,114 @@
+// This module does the color matching for photomosaics.
+// A target image is split into a grid of cells, and each cell is assigned
+// the input image whose color is closest to that cell's average color.
+const { rgbToOklab } = require('./colorSpaces');
+
+// This function splits `targetImage` into a `numRows` x `numColumns` grid of cells and returns
+// the average color of each cell as an { r, g, b } object, in row-major order.
+// Every target pixel is counted towards exactly one cell, so this is a true area average.
+function getCellColors(targetImage, numRows, numColumns) {
+    const { width, height, data } = targetImage.bitmap;
+    const sums = [];
+    for (let i = 0; i < numRows * numColumns; i++) {
+        sums.push({ r: 0, g: 0, b: 0, count: 0 });
+    }
+
+    for (let y = 0; y < height; y++) {
+        const row = Math.min(numRows - 1, Math.floor(y * numRows / height));
+        for (let x = 0; x < width; x++) {
+            const column = Math.min(numColumns - 1, Math.floor(x * numColumns / width));
+            const sum = sums[row * numColumns + column];
+            const pixelIndex = (y * width + x) * 4;
+
+            sum.r += data[pixelIndex];
+            sum.g += data[pixelIndex + 1];
+            sum.b += data[pixelIndex + 2];
+            sum.count++;
+        }
+    }
+
+    return sums.map((sum) => {
+        // A target image smaller than the grid leaves some cells without any pixels. Those are black.
+        const count = Math.max(1, sum.count);
+        return {
+            r: Math.round(sum.r / count),
+            g: Math.round(sum.g / count),
+            b: Math.round(sum.b / count)
+        };
+    });
+}
+
+// This function returns the distance between two OKLab { l, a, b } colors.
+function oklabDistance(a, b) {
+    const dl = a.l - b.l, da = a.a - b.a, db = a.b - b.b;
+    return Math.sqrt(dl * dl + da * da + db * db);
+}
+
+// This function assigns one candidate to every cell.
+// `cellColors` contains an { r, g, b } object per cell, and `candidateColors` contains an OKLab { l, a, b } object per input image.
+// Each candidate may be used at most `maxReuse` times. Set `maxReuse` to `0` to allow unlimited reuse.
+// Returns an array containing the index of the candidate assigned to each cell.
+function assignCandidatesToCells(cellColors, candidateColors, { maxReuse = 0 } = {}) {
+    if (maxReuse > 0 && maxReuse * candidateColors.length < cellColors.length) {
+        throw new Error(`There are ${cellColors.length} mosaic cells but only ${candidateColors.length} input images, which may each be used ${maxReuse} time(s)! Use more images, fewer cells, or a higher reuse limit.`);
+    }
+
+    const cellOklabs = cellColors.map(rgbToOklab);
+
+    // This function returns the index of the closest candidate to a cell that still has uses left.
+    const findClosestCandidate = (cellIndex, uses) => {
+        let closestIndex = -1;
+        let closestDistance = Infinity;
+        candidateColors.forEach((candidateColor, candidateIndex) => {
+            if (uses && maxReuse > 0 && uses[candidateIndex] >= maxReuse) {
+                return;
+            }
+
+            const distance = oklabDistance(cellOklabs[cellIndex], candidateColor);
+            if (distance < closestDistance) {
+                closestIndex = candidateIndex;
+                closestDistance = distance;
+            }
+        });
+        return { closestIndex, closestDistance };
+    };
+
+    // Fill the cells with the closest best matches first. That way, when a candidate runs out of uses,
+    // it's the cells that matched it least well that have to settle for something else.
+    const bestDistances = cellColors.map((cellColor, cellIndex) => { return findClosestCandidate(cellIndex).closestDistance; });
+    const cellOrder = cellColors
+        .map((cellColor, cellIndex) => { return cellIndex; })
+        .sort((a, b) => { return bestDistances[a] - bestDistances[b]; });
+
+    const uses = new Array(candidateColors.length).fill(0);
+    const assignments = new Array(cellColors.length);
+    cellOrder.forEach((cellIndex) => {
+        const { closestIndex } = findClosestCandidate(cellIndex, uses);
+
+        uses[closestIndex]++;
+        assignments[cellIndex] = closestIndex;
+    });
+
+    return assignments;
+}
+
+// This function blends every pixel of a `Jimp` image towards the { r, g, b } color `tintColor`, in place.
+// `amount` ranges from `0` (leave the image alone) to `1` (replace the image with a solid color).
+function tintImage(image, tintColor, amount) {
+    const data = image.bitmap.data;
+
+    for (let i = 0; i < data.length; i += 4) {
+        data[i] = Math.round(data[i] + (tintColor.r - data[i]) * amount);
+        data[i + 1] = Math.round(data[i + 1] + (tintColor.g - data[i + 1]) * amount);
+        data[i + 2] = Math.round(data[i + 2] + (tintColor.b - data[i + 2]) * amount);
+    }
+
+    return image;
+}
+
+module.exports = {
+    getCellColors,
+    oklabDistance,
+    assignCandidatesToCells,
+    tintImage,
+};
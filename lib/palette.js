@@ -0,0 +1,169 @@
+// This module extracts a palette of the most prominent colors from an image.
+// We seed clusters with median-cut, then refine them with a few rounds of k-means.
+// This gives us real "dominant" colors: a photo that is half red and half green
+// comes out as one red cluster and one green cluster instead of one muddy brown average.
+
+// Images are downsampled so that their longest side is this many pixels before clustering.
+// This keeps clustering fast without noticeably changing the result.
+const DEFAULT_SAMPLE_SIZE = 64;
+// The default number of clusters in each palette.
+const DEFAULT_PALETTE_SIZE = 5;
+// The maximum number of k-means refinement rounds.
+const MAX_KMEANS_ITERATIONS = 10;
+// Pixels more transparent than this are ignored.
+const MIN_ALPHA = 128;
+
+// This function returns an array of [r, g, b] pixels from a downsampled copy of `image`.
+function samplePixels(image, sampleSize) {
+    const sample = image.clone();
+
+    if (sample.bitmap.width > sampleSize || sample.bitmap.height > sampleSize) {
+        sample.scaleToFit({ w: sampleSize, h: sampleSize });
+    }
+
+    const pixels = [];
+    const data = sample.bitmap.data;
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] >= MIN_ALPHA) {
+            pixels.push([data[i], data[i + 1], data[i + 2]]);
+        }
+    }
+
+    return pixels;
+}
+
+// This function returns the mean [r, g, b] color of an array of pixels.
+function meanColor(pixels) {
+    const sum = [0, 0, 0];
+    pixels.forEach((pixel) => {
+        sum[0] += pixel[0];
+        sum[1] += pixel[1];
+        sum[2] += pixel[2];
+    });
+
+    return sum.map((channel) => { return channel / pixels.length; });
+}
+
+// This function splits `pixels` into (up to) `numBoxes` boxes using the median-cut algorithm
+// and returns the mean color of each box. We use these as our initial k-means centroids.
+function medianCut(pixels, numBoxes) {
+    let boxes = [pixels];
+
+    while (boxes.length < numBoxes) {
+        // Find the box with the largest range along any one channel...
+        let widestBoxIndex = -1;
+        let widestChannel = 0;
+        let widestRange = 0;
+        boxes.forEach((box, boxIndex) => {
+            if (box.length < 2) {
+                return;
+            }
+
+            for (let channel = 0; channel < 3; channel++) {
+                let min = 255;
+                let max = 0;
+                box.forEach((pixel) => {
+                    min = Math.min(min, pixel[channel]);
+                    max = Math.max(max, pixel[channel]);
+                });
+
+                if (max - min > widestRange) {
+                    widestBoxIndex = boxIndex;
+                    widestChannel = channel;
+                    widestRange = max - min;
+                }
+            }
+        });
+
+        // ...every box is a single color, so we can't split any further.
+        if (widestBoxIndex === -1) {
+            break;
+        }
+
+        // ...then split that box at the median along that channel.
+        const box = boxes[widestBoxIndex].slice().sort((a, b) => { return a[widestChannel] - b[widestChannel]; });
+        const median = Math.floor(box.length / 2);
+        boxes.splice(widestBoxIndex, 1, box.slice(0, median), box.slice(median));
+    }
+
+    return boxes.map(meanColor);
+}
+
+// This function returns the squared Euclidean distance between two [r, g, b] colors.
+function distanceSquared(a, b) {
+    const dr = a[0] - b[0];
+    const dg = a[1] - b[1];
+    const db = a[2] - b[2];
+    return dr * dr + dg * dg + db * db;
+}
+
+// This function takes a `Jimp` image and returns its palette as an array of
+// `{ r, g, b, colorHexString, weight }` Objects, sorted from most to least prominent.
+// Each `weight` is the fraction of the image's (opaque) pixels that belong to that cluster.
+function extractPalette(image, { paletteSize = DEFAULT_PALETTE_SIZE, sampleSize = DEFAULT_SAMPLE_SIZE } = {}) {
+    const pixels = samplePixels(image, sampleSize);
+
+    // A fully-transparent image has no colors at all.
+    if (pixels.length === 0) {
+        return [];
+    }
+
+    let centroids = medianCut(pixels, paletteSize);
+    let assignments = new Array(pixels.length).fill(-1);
+
+    for (let iteration = 0; iteration < MAX_KMEANS_ITERATIONS; iteration++) {
+        let changed = false;
+
+        // Assign every pixel to its nearest centroid...
+        pixels.forEach((pixel, pixelIndex) => {
+            let nearestIndex = 0;
+            let nearestDistance = Infinity;
+            centroids.forEach((centroid, centroidIndex) => {
+                const distance = distanceSquared(pixel, centroid);
+                if (distance < nearestDistance) {
+                    nearestIndex = centroidIndex;
+                    nearestDistance = distance;
+                }
+            });
+
+            if (assignments[pixelIndex] !== nearestIndex) {
+                assignments[pixelIndex] = nearestIndex;
+                changed = true;
+            }
+        });
+
+        if (!changed) {
+            break;
+        }
+
+        // ...then move every centroid to the mean of its pixels.
+        centroids = centroids.map((centroid, centroidIndex) => {
+            const members = pixels.filter((pixel, pixelIndex) => { return assignments[pixelIndex] === centroidIndex; });
+            return members.length > 0 ? meanColor(members) : centroid;
+        });
+    }
+
+    const counts = new Array(centroids.length).fill(0);
+    assignments.forEach((centroidIndex) => {
+        counts[centroidIndex]++;
+    });
+
+    return centroids
+        .map((centroid, centroidIndex) => {
+            const [r, g, b] = centroid.map(Math.round);
+            return {
+                r,
+                g,
+                b,
+                colorHexString: [r, g, b].map((channel) => { return channel.toString(16).padStart(2, '0'); }).join(''),
+                weight: counts[centroidIndex] / pixels.length
+            };
+        })
+        .filter((color) => { return color.weight > 0; })
+        .sort((a, b) => { return b.weight - a.weight; });
+}
+
+module.exports = {
+    DEFAULT_PALETTE_SIZE,
+    extractPalette,
+};
@@ -0,0 +1,30 @@
+// This module reports the progress of long-running steps as "N/total",
+// instead of one interleaved log line per image.
+
+// When we can't redraw a single line in place, only log roughly this many progress lines per step.
+const NUM_LOGGED_STEPS = 20;
+
+// This function returns a `tick(detail)` function to call every time one of `total` things is done.
+// If `onProgress` is set, it's called with `{ label, completed, total, detail }` on every tick.
+// Otherwise, progress is redrawn in place on an interactive terminal, or logged every so often through `logger`.
+function createProgressReporter(label, total, { logger = console, onProgress } = {}) {
+    let completed = 0;
+    const isInteractive = logger === console && process.stdout.isTTY;
+    const logInterval = Math.max(1, Math.ceil(total / NUM_LOGGED_STEPS));
+
+    return (detail) => {
+        completed++;
+
+        if (onProgress) {
+            onProgress({ label, completed, total, detail });
+        } else if (isInteractive) {
+            process.stdout.write(`\r${label}... ${completed}/${total}${completed === total ? '\n' : ''}`);
+        } else if (completed % logInterval === 0 || completed === total) {
+            logger.log(`${label}... ${completed}/${total}`);
+        }
+    };
+}
+
+module.exports = {
+    createProgressReporter,
+};
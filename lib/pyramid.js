@@ -0,0 +1,371 @@
+// This module writes huge output images as a tile pyramid instead of one giant bitmap.
+// A tile pyramid stores the image at full resolution as a grid of small tiles, then again at half the size,
+// then a quarter, and so on, so a viewer only ever loads the handful of tiles that are on screen.
+// We support two layouts: Deep Zoom (DZI), which OpenSeadragon and friends read, and XYZ, which map libraries like Leaflet read.
+const fs = require('fs');
+const path = require('path');
+const { Jimp } = require('jimp');
+const { mapWithConcurrency } = require('./concurrency');
+const { createProgressReporter } = require('./progress');
+const { escapeHTML, getRelativeURL } = require('./manifest');
+
+// Define the possible tile pyramid layouts in this 'enum'.
+const PYRAMID_FORMATS = {
+    // `<name>.dzi` describes the image, and tiles live at `<name>_files/<level>/<column>_<row>.png`.
+    // Levels go all the way down to a 1x1 image, and tiles along the right and bottom edges are cropped to fit.
+    'DZI': 'dzi',
+    // Tiles live at `<name>/<z>/<x>/<y>.png`. Zoom level 0 fits the whole image into one tile,
+    // and every tile is the same size, with transparent padding past the edges of the image.
+    'XYZ': 'xyz',
+};
+
+// This function describes the tile pyramid for a `width` x `height` image, written to `outputFilename`.
+// For DZI, `outputFilename` should end in `.dzi`. For XYZ, it's the directory that holds the tiles.
+// The returned Object lists each level from smallest (`0`) to full resolution, with its size and number of tiles.
+function createPyramid(outputFilename, width, height, { format, tileSize }) {
+    const longestSide = Math.max(width, height);
+    const maxLevel = format === PYRAMID_FORMATS.DZI ?
+        Math.ceil(Math.log2(longestSide)) :
+        Math.max(0, Math.ceil(Math.log2(longestSide / tileSize)));
+
+    const levels = [];
+    for (let level = 0; level <= maxLevel; level++) {
+        const scale = Math.pow(2, maxLevel - level);
+        const levelWidth = Math.ceil(width / scale);
+        const levelHeight = Math.ceil(height / scale);
+        levels.push({
+            level,
+            width: levelWidth,
+            height: levelHeight,
+            numColumns: Math.ceil(levelWidth / tileSize),
+            numRows: Math.ceil(levelHeight / tileSize)
+        });
+    }
+
+    const parsedFilename = path.parse(outputFilename);
+    return {
+        format,
+        tileSize,
+        width,
+        height,
+        levels,
+        maxLevel,
+        descriptorFilename: format === PYRAMID_FORMATS.DZI ? outputFilename : undefined,
+        tilesDirectory: format === PYRAMID_FORMATS.DZI ? path.join(parsedFilename.dir, `${parsedFilename.name}_files`) : outputFilename
+    };
+}
+
+// This function returns the path of one tile in `pyramid`.
+function getTileFilename(pyramid, level, column, row) {
+    if (pyramid.format === PYRAMID_FORMATS.DZI) {
+        return path.join(pyramid.tilesDirectory, `${level}`, `${column}_${row}.png`);
+    }
+    return path.join(pyramid.tilesDirectory, `${level}`, `${column}`, `${row}.png`);
+}
+
+// This function returns the `{ x, y, width, height }` of one tile in its level, in that level's pixels.
+// Tiles along the right and bottom edges may be smaller than `tileSize`.
+function getTileRegion(pyramid, level, column, row) {
+    const { tileSize } = pyramid;
+    const { width, height } = pyramid.levels[level];
+    return {
+        x: column * tileSize,
+        y: row * tileSize,
+        width: Math.min(tileSize, width - column * tileSize),
+        height: Math.min(tileSize, height - row * tileSize)
+    };
+}
+
+// This function removes the numbered level directories left over from an earlier pyramid at the same place,
+// so that tiles from a bigger, older grid don't get mixed in with this one. Nothing else is touched.
+function clearPyramid(pyramid) {
+    if (!fs.existsSync(pyramid.tilesDirectory)) {
+        return;
+    }
+
+    fs.readdirSync(pyramid.tilesDirectory).forEach((filename) => {
+        if (/^\d+$/.test(filename)) {
+            fs.rmSync(path.join(pyramid.tilesDirectory, filename), { recursive: true, force: true });
+        }
+    });
+}
+
+// This function writes one tile of `pyramid`. XYZ tiles are padded out to the full `tileSize` first.
+async function writeTile(pyramid, tile, level, column, row) {
+    if (pyramid.format === PYRAMID_FORMATS.XYZ && (tile.bitmap.width < pyramid.tileSize || tile.bitmap.height < pyramid.tileSize)) {
+        tile = new Jimp({ width: pyramid.tileSize, height: pyramid.tileSize, color: 0x00000000 }).composite(tile, 0, 0);
+    }
+
+    const tileFilename = getTileFilename(pyramid, level, column, row);
+    fs.mkdirSync(path.dirname(tileFilename), { recursive: true });
+    await tile.write(tileFilename);
+}
+
+// This function builds every level below full resolution, once the full-resolution tiles have been written.
+// Each tile is made by shrinking the (up to) four tiles under it in the next level up, which are read back from disk,
+// so no level ever needs to be in memory all at once.
+async function writeLowerLevels(pyramid, options) {
+    const { tileSize } = pyramid;
+    const numTiles = pyramid.levels.slice(0, pyramid.maxLevel).reduce((sum, level) => { return sum + level.numColumns * level.numRows; }, 0);
+    const reportProgress = createProgressReporter(`Writing zoomed-out tiles`, numTiles, options);
+
+    for (let level = pyramid.maxLevel - 1; level >= 0; level--) {
+        const { numColumns, numRows } = pyramid.levels[level];
+        const childLevel = pyramid.levels[level + 1];
+
+        const tilePositions = [];
+        for (let row = 0; row < numRows; row++) {
+            for (let column = 0; column < numColumns; column++) {
+                tilePositions.push({ row, column });
+            }
+        }
+
+        await mapWithConcurrency(tilePositions, options.concurrency, async ({ row, column }) => {
+            // The part of the next level up that this tile covers.
+            const childWidth = Math.min(2 * tileSize, childLevel.width - 2 * column * tileSize);
+            const childHeight = Math.min(2 * tileSize, childLevel.height - 2 * row * tileSize);
+            const canvas = new Jimp({ width: childWidth, height: childHeight, color: 0x00000000 });
+
+            for (let childRow = 2 * row; childRow < Math.min(2 * row + 2, childLevel.numRows); childRow++) {
+                for (let childColumn = 2 * column; childColumn < Math.min(2 * column + 2, childLevel.numColumns); childColumn++) {
+                    const child = await Jimp.read(getTileFilename(pyramid, level + 1, childColumn, childRow));
+                    canvas.composite(child, (childColumn - 2 * column) * tileSize, (childRow - 2 * row) * tileSize);
+                }
+            }
+
+            const region = getTileRegion(pyramid, level, column, row);
+            canvas.resize({ w: region.width, h: region.height });
+            await writeTile(pyramid, canvas, level, column, row);
+            reportProgress(`${level}/${column}_${row}`);
+        });
+    }
+}
+
+// This function returns the Deep Zoom descriptor XML for `pyramid`.
+function createDZIDescriptor(pyramid) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<Image xmlns="http://schemas.microsoft.com/deepzoom/2008" Format="png" Overlap="0" TileSize="${pyramid.tileSize}">
+    <Size Width="${pyramid.width}" Height="${pyramid.height}"/>
+</Image>
+`;
+}
+
+// This function returns a small HTML page that pans and zooms around `pyramid`, loading only the tiles on screen.
+// Drag to pan and scroll to zoom. It needs no internet connection, so it works straight from your disk. `manifest` is from `createManifest()`; hovering over an image shows its details,
+// and clicking it opens the original file. `htmlFilename` is where the page will be written.
+function createPyramidViewerHTML(pyramid, manifest, htmlFilename) {
+    const htmlDirectory = path.dirname(path.resolve(htmlFilename));
+    const tileURLTemplate = pyramid.format === PYRAMID_FORMATS.DZI ?
+        `${getRelativeURL(path.resolve(pyramid.tilesDirectory), htmlDirectory)}/{level}/{column}_{row}.png` :
+        `${getRelativeURL(path.resolve(pyramid.tilesDirectory), htmlDirectory)}/{level}/{column}/{row}.png`;
+
+    const viewerData = {
+        format: pyramid.format,
+        width: pyramid.width,
+        height: pyramid.height,
+        tileSize: pyramid.tileSize,
+        maxLevel: pyramid.maxLevel,
+        levels: pyramid.levels,
+        tileURLTemplate,
+        tiles: manifest.tiles.map((tile) => {
+            return {
+                rect: tile.rect,
+                name: tile.imageFilename,
+                color: tile.colorInfo ? `#${tile.colorInfo.colorHexString}` : '',
+                href: tile.imagePath ? getRelativeURL(tile.imagePath, htmlDirectory) : ''
+            };
+        })
+    };
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHTML(path.basename(pyramid.descriptorFilename || pyramid.tilesDirectory))}</title>
+<style>
+html, body { margin: 0; height: 100%; overflow: hidden; background: #1e1e1e; color: #eee; font-family: sans-serif; }
+#viewport { position: absolute; inset: 0; cursor: grab; touch-action: none; }
+#viewport.dragging { cursor: grabbing; }
+#viewport img { position: absolute; user-select: none; -webkit-user-drag: none; pointer-events: none; }
+#tooltip { position: fixed; display: none; pointer-events: none; padding: 8px; background: rgba(0, 0, 0, 0.85); border-radius: 4px; font-size: 13px; z-index: 2; }
+#tooltip .swatch { display: inline-block; width: 12px; height: 12px; margin-right: 6px; vertical-align: middle; border: 1px solid #fff; }
+#help { position: fixed; left: 8px; bottom: 8px; font-size: 12px; color: #aaa; }
+</style>
+</head>
+<body>
+<div id="viewport"></div>
+<div id="tooltip"></div>
+<div id="help">Drag to pan, scroll to zoom, click an image to open it. ${pyramid.width}x${pyramid.height}px</div>
+<script>
+const pyramid = ${JSON.stringify(viewerData).replace(/</g, '\\u003c')};
+const viewport = document.getElementById('viewport');
+const tooltip = document.getElementById('tooltip');
+
+// \`scale\` is screen pixels per full-resolution pixel, and (offsetX, offsetY) is where the image's top-left corner is on screen.
+let scale = 1;
+let offsetX = 0;
+let offsetY = 0;
+const images = new Map();
+
+function fit() {
+    scale = Math.min(viewport.clientWidth / pyramid.width, viewport.clientHeight / pyramid.height);
+    offsetX = (viewport.clientWidth - pyramid.width * scale) / 2;
+    offsetY = (viewport.clientHeight - pyramid.height * scale) / 2;
+}
+
+// This function returns the smallest level that still has at least one of its pixels per screen pixel.
+function getLevel() {
+    for (const level of pyramid.levels) {
+        if (level.width / pyramid.width >= scale * (window.devicePixelRatio || 1)) {
+            return level.level;
+        }
+    }
+    return pyramid.maxLevel;
+}
+
+// This function shows the tiles of \`level\` that are on screen, on top of the tiles of every smaller level that are
+// already loaded. That way, there's always something to look at while the sharper tiles load.
+function render() {
+    const wanted = new Set();
+    const level = getLevel();
+    const addLevel = (levelIndex, zIndex) => {
+        const { width, height, numColumns, numRows } = pyramid.levels[levelIndex];
+        const levelScale = width / pyramid.width;
+        const tileScreenSize = pyramid.tileSize / levelScale * scale;
+        const firstColumn = Math.max(0, Math.floor(-offsetX / tileScreenSize));
+        const lastColumn = Math.min(numColumns - 1, Math.floor((viewport.clientWidth - offsetX) / tileScreenSize));
+        const firstRow = Math.max(0, Math.floor(-offsetY / tileScreenSize));
+        const lastRow = Math.min(numRows - 1, Math.floor((viewport.clientHeight - offsetY) / tileScreenSize));
+
+        for (let row = firstRow; row <= lastRow; row++) {
+            for (let column = firstColumn; column <= lastColumn; column++) {
+                const key = levelIndex + '/' + column + '/' + row;
+                wanted.add(key);
+                let image = images.get(key);
+                if (!image) {
+                    image = document.createElement('img');
+                    image.src = pyramid.tileURLTemplate.replace('{level}', levelIndex).replace('{column}', column).replace('{row}', row);
+                    images.set(key, image);
+                    viewport.appendChild(image);
+                }
+                const tileWidth = pyramid.format === 'dzi' ? Math.min(pyramid.tileSize, width - column * pyramid.tileSize) : pyramid.tileSize;
+                const tileHeight = pyramid.format === 'dzi' ? Math.min(pyramid.tileSize, height - row * pyramid.tileSize) : pyramid.tileSize;
+                // Round the edges, not the sizes, so neighboring tiles never leave a gap between them.
+                const left = Math.round(offsetX + column * tileScreenSize);
+                const top = Math.round(offsetY + row * tileScreenSize);
+                image.style.left = left + 'px';
+                image.style.top = top + 'px';
+                image.style.width = (Math.round(offsetX + column * tileScreenSize + tileWidth / levelScale * scale) - left) + 'px';
+                image.style.height = (Math.round(offsetY + row * tileScreenSize + tileHeight / levelScale * scale) - top) + 'px';
+                image.style.zIndex = zIndex;
+            }
+        }
+    };
+
+    // Keep a blurry copy of the whole image underneath, from the smallest level that's worth looking at.
+    const backgroundLevel = pyramid.levels.findIndex((candidate) => { return candidate.numColumns > 1 || candidate.numRows > 1; });
+    addLevel(Math.max(0, Math.min(level, backgroundLevel === -1 ? pyramid.maxLevel : backgroundLevel - 1)), 0);
+    addLevel(level, 1);
+
+    images.forEach((image, key) => {
+        if (!wanted.has(key)) {
+            image.remove();
+            images.delete(key);
+        }
+    });
+}
+
+function zoomAt(screenX, screenY, factor) {
+    const minScale = Math.min(viewport.clientWidth / pyramid.width, viewport.clientHeight / pyramid.height) / 2;
+    const newScale = Math.max(minScale, Math.min(8, scale * factor));
+    offsetX = screenX - (screenX - offsetX) * newScale / scale;
+    offsetY = screenY - (screenY - offsetY) * newScale / scale;
+    scale = newScale;
+    render();
+}
+
+// This function returns the manifest tile under a point on the screen, if any.
+function getTileAt(screenX, screenY) {
+    const x = (screenX - offsetX) / scale;
+    const y = (screenY - offsetY) / scale;
+    return pyramid.tiles.find((tile) => {
+        return x >= tile.rect.x && x < tile.rect.x + tile.rect.width && y >= tile.rect.y && y < tile.rect.y + tile.rect.height;
+    });
+}
+
+let drag;
+viewport.addEventListener('pointerdown', (event) => {
+    drag = { x: event.clientX, y: event.clientY, moved: false };
+    viewport.setPointerCapture(event.pointerId);
+    viewport.classList.add('dragging');
+});
+viewport.addEventListener('pointermove', (event) => {
+    if (drag) {
+        const dx = event.clientX - drag.x;
+        const dy = event.clientY - drag.y;
+        drag.moved = drag.moved || Math.abs(dx) + Math.abs(dy) > 3;
+        drag.x = event.clientX;
+        drag.y = event.clientY;
+        offsetX += dx;
+        offsetY += dy;
+        tooltip.style.display = 'none';
+        render();
+        return;
+    }
+
+    const tile = getTileAt(event.clientX, event.clientY);
+    if (!tile) {
+        tooltip.style.display = 'none';
+        return;
+    }
+    tooltip.textContent = '';
+    if (tile.color) {
+        const swatch = document.createElement('span');
+        swatch.className = 'swatch';
+        swatch.style.background = tile.color;
+        tooltip.appendChild(swatch);
+        tooltip.appendChild(document.createTextNode(tile.color + ' '));
+    }
+    const name = document.createElement('strong');
+    name.textContent = tile.name;
+    tooltip.appendChild(name);
+    tooltip.style.display = 'block';
+    tooltip.style.left = (event.clientX + 12) + 'px';
+    tooltip.style.top = (event.clientY + 12) + 'px';
+});
+viewport.addEventListener('pointerup', (event) => {
+    viewport.classList.remove('dragging');
+    const wasClick = drag && !drag.moved;
+    drag = undefined;
+    if (wasClick) {
+        const tile = getTileAt(event.clientX, event.clientY);
+        if (tile && tile.href) {
+            window.open(tile.href, '_blank');
+        }
+    }
+});
+viewport.addEventListener('wheel', (event) => {
+    event.preventDefault();
+    zoomAt(event.clientX, event.clientY, Math.pow(2, -event.deltaY / 300));
+}, { passive: false });
+window.addEventListener('resize', render);
+
+fit();
+render();
+</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    PYRAMID_FORMATS,
+    createPyramid,
+    getTileRegion,
+    clearPyramid,
+    writeTile,
+    writeLowerLevels,
+    createDZIDescriptor,
+    createPyramidViewerHTML,
+};
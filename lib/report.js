@@ -0,0 +1,238 @@
+// This module builds a color-analysis report for a whole collection of images.
+// It's the cheap way to audit a photo set: everything here comes from the color analysis alone,
+// so no grid needs to be composited. Reports can be written as JSON, CSV, or a standalone HTML page.
+const { escapeHTML } = require('./manifest');
+
+// The color values listed for each image, in report column order.
+const COLOR_FIELDS = ['hue', 'saturation', 'value', 'luma', 'lightness', 'chroma', 'perceptualHue', 'okLightness', 'okChroma', 'okHue'];
+// The hue histogram splits the color wheel into this many equal bins.
+const NUM_HUE_BINS = 12;
+// Images with a chroma below this are counted as greys instead of going into the hue histogram,
+// since the hue of a nearly-grey color is mostly noise. `greyThreshold` overrides it, so that the report
+// and the grid agree about which images are grey.
+const GREY_CHROMA_THRESHOLD = 10;
+// Images whose color is more than this many standard deviations further than average from the
+// collection's mean color are outliers.
+const OUTLIER_STANDARD_DEVIATIONS = 2;
+
+// This function rounds `number` to `decimalPlaces` decimal places.
+function round(number, decimalPlaces = 2) {
+    const scale = Math.pow(10, decimalPlaces);
+    return Math.round(number * scale) / scale;
+}
+
+// This function returns the min, max, mean, median, and standard deviation of an array of numbers.
+function describe(values) {
+    if (values.length === 0) {
+        return { min: 0, max: 0, mean: 0, median: 0, standardDeviation: 0 };
+    }
+
+    const sorted = values.slice().sort((a, b) => { return a - b; });
+    const mean = values.reduce((sum, value) => { return sum + value; }, 0) / values.length;
+    const middle = Math.floor(sorted.length / 2);
+    const median = sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+    const variance = values.reduce((sum, value) => { return sum + (value - mean) * (value - mean); }, 0) / values.length;
+
+    return {
+        min: round(sorted[0]),
+        max: round(sorted[sorted.length - 1]),
+        mean: round(mean),
+        median: round(median),
+        standardDeviation: round(Math.sqrt(variance))
+    };
+}
+
+// This function returns the hue histogram of a collection of `colorInfo` Objects, plus the number of greys,
+// which are the colors with a `chroma` below `greyChromaThreshold`.
+function getHueHistogram(colorInfos, greyChromaThreshold) {
+    const binSize = 360 / NUM_HUE_BINS;
+    const bins = [];
+    for (let i = 0; i < NUM_HUE_BINS; i++) {
+        bins.push({ from: i * binSize, to: (i + 1) * binSize, count: 0 });
+    }
+
+    let greys = 0;
+    colorInfos.forEach((colorInfo) => {
+        if (colorInfo.chroma < greyChromaThreshold) {
+            greys++;
+        } else {
+            bins[Math.min(NUM_HUE_BINS - 1, Math.floor(colorInfo.hue / binSize))].count++;
+        }
+    });
+
+    return { bins, greys, greyChromaThreshold };
+}
+
+// This function returns the images whose colors are unusually far from the collection's mean color in OKLab,
+// sorted from most to least unusual, along with that distance. `images` is the report's `images` array.
+function getOutliers(images, colorInfos) {
+    const mean = { l: 0, a: 0, b: 0 };
+    colorInfos.forEach((colorInfo) => {
+        mean.l += colorInfo.oklab.l / colorInfos.length;
+        mean.a += colorInfo.oklab.a / colorInfos.length;
+        mean.b += colorInfo.oklab.b / colorInfos.length;
+    });
+
+    const distances = colorInfos.map((colorInfo) => {
+        return Math.hypot(colorInfo.oklab.l - mean.l, colorInfo.oklab.a - mean.a, colorInfo.oklab.b - mean.b);
+    });
+    const { mean: meanDistance, standardDeviation } = describe(distances);
+    const threshold = meanDistance + OUTLIER_STANDARD_DEVIATIONS * standardDeviation;
+
+    return images
+        .map((image, index) => { return { sortIndex: image.sortIndex, imageFilename: image.imageFilename, colorHexString: image.colorHexString, distance: round(distances[index], 4) }; })
+        .filter((outlier) => { return standardDeviation > 0 && outlier.distance > threshold; })
+        .sort((a, b) => { return b.distance - a.distance; });
+}
+
+// This function builds the report Object for a sorted `imageDataArray`, every element of which must have `colorInfo`.
+// `options` should contain the options used to sort the images. Its `greyThreshold`, if set, decides which images count as greys.
+// Elements with a `gridPosition` get their `row` and `column` in the report, too.
+// `skipped` lists the images that couldn't be read, as `{ imageFilename, error }` Objects.
+function createReport(sortedImageDataArray, options, skipped = []) {
+    const colorInfos = sortedImageDataArray.map((currentImageData) => { return currentImageData.colorInfo; });
+
+    const images = sortedImageDataArray.map((currentImageData, sortIndex) => {
+        const image = {
+            sortIndex,
+            imageFilename: currentImageData.imageFilename,
+            imagePath: currentImageData.imagePath,
+            width: currentImageData.width,
+            height: currentImageData.height,
+            colorHexString: currentImageData.colorInfo.colorHexString
+        };
+        COLOR_FIELDS.forEach((field) => {
+            image[field] = round(currentImageData.colorInfo[field], 4);
+        });
+        if (currentImageData.gridPosition) {
+            image.row = currentImageData.gridPosition.row;
+            image.column = currentImageData.gridPosition.column;
+        }
+        return image;
+    });
+
+    const outliers = getOutliers(images, colorInfos);
+    const outlierIndices = new Set(outliers.map((outlier) => { return outlier.sortIndex; }));
+    images.forEach((image) => {
+        image.outlier = outlierIndices.has(image.sortIndex);
+    });
+
+    return {
+        generatedAt: new Date().toISOString(),
+        inputDirectory: options.inputDirectory,
+        sortOrder: options.sortOrder,
+        sortParameter: options.sortParameter,
+        colorMethod: options.colorMethod,
+        summary: {
+            numImages: images.length,
+            hueHistogram: getHueHistogram(colorInfos, options.greyThreshold > 0 ? options.greyThreshold : GREY_CHROMA_THRESHOLD),
+            saturation: describe(colorInfos.map((colorInfo) => { return colorInfo.saturation; })),
+            value: describe(colorInfos.map((colorInfo) => { return colorInfo.value; })),
+            luma: describe(colorInfos.map((colorInfo) => { return colorInfo.luma; })),
+            outliers
+        },
+        images,
+        skipped
+    };
+}
+
+// This function escapes one CSV field.
+function escapeCSV(field) {
+    const text = field === undefined ? '' : String(field);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// This function returns a report as CSV, with one row per image in sorted order.
+// The summary statistics don't fit in a CSV, so use the JSON or HTML report for those.
+function createReportCSV(report) {
+    const columns = ['sortIndex', 'imageFilename', 'imagePath', 'width', 'height', 'colorHexString'].concat(COLOR_FIELDS, ['row', 'column', 'outlier']);
+    const rows = report.images.map((image) => {
+        return columns.map((column) => { return escapeCSV(image[column]); }).join(',');
+    });
+
+    return [columns.join(',')].concat(rows).join('\n') + '\n';
+}
+
+// This function returns a report as a standalone HTML page with color swatches.
+function createReportHTML(report) {
+    const { summary } = report;
+    const binCounts = summary.hueHistogram.bins.map((bin) => { return bin.count; }).concat(summary.hueHistogram.greys);
+    const maxBinCount = Math.max(1, ...binCounts);
+
+    const histogramBars = summary.hueHistogram.bins.map((bin) => {
+        const hue = (bin.from + bin.to) / 2;
+        return `<div class="bar" title="${bin.from}°-${bin.to}°: ${bin.count}"><span style="height:${bin.count / maxBinCount * 100}%;background:hsl(${hue},70%,50%)"></span><small>${bin.from}°</small></div>`;
+    });
+    histogramBars.push(`<div class="bar" title="Greys: ${summary.hueHistogram.greys}"><span style="height:${summary.hueHistogram.greys / maxBinCount * 100}%;background:#888"></span><small>greys</small></div>`);
+
+    const statisticsRows = ['saturation', 'value', 'luma'].map((field) => {
+        const statistics = summary[field];
+        return `<tr><th>${field}</th><td>${statistics.min}</td><td>${statistics.max}</td><td>${statistics.mean}</td><td>${statistics.median}</td><td>${statistics.standardDeviation}</td></tr>`;
+    });
+
+    const outlierItems = summary.outliers.map((outlier) => {
+        return `<li><span class="swatch" style="background:#${outlier.colorHexString}"></span>${escapeHTML(outlier.imageFilename)} <small>(distance ${outlier.distance})</small></li>`;
+    });
+
+    const skippedItems = (report.skipped || []).map((skippedImage) => {
+        return `<li>${escapeHTML(skippedImage.imageFilename)} <small>(${escapeHTML(skippedImage.error)})</small></li>`;
+    });
+
+    const imageRows = report.images.map((image) => {
+        const cells = [
+            image.sortIndex + 1,
+            `<span class="swatch" style="background:#${image.colorHexString}"></span>#${image.colorHexString}`,
+            escapeHTML(image.imageFilename)
+        ].concat(COLOR_FIELDS.map((field) => { return image[field]; }));
+        return `<tr${image.outlier ? ' class="outlier"' : ''}>${cells.map((cell) => { return `<td>${cell}</td>`; }).join('')}</tr>`;
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Color Report - ${escapeHTML(report.inputDirectory || '')}</title>
+<style>
+body { margin: 0; padding: 16px; background: #1e1e1e; color: #eee; font-family: sans-serif; }
+table { border-collapse: collapse; font-size: 13px; }
+th, td { padding: 4px 8px; border-bottom: 1px solid #333; text-align: left; }
+tr.outlier td { background: #402020; }
+.swatch { display: inline-block; width: 14px; height: 14px; margin-right: 6px; vertical-align: middle; border: 1px solid #fff; }
+.histogram { display: flex; align-items: flex-end; gap: 4px; height: 160px; margin-bottom: 24px; }
+.bar { display: flex; flex-direction: column; justify-content: flex-end; align-items: center; width: 40px; height: 100%; }
+.bar span { display: block; width: 100%; }
+.bar small { margin-top: 4px; color: #aaa; }
+</style>
+</head>
+<body>
+<h1>Color Report</h1>
+<p>${summary.numImages} images from <code>${escapeHTML(report.inputDirectory || '')}</code>, sorted by <code>${escapeHTML(report.sortParameter)}</code> in <code>${escapeHTML(report.sortOrder)}</code> order. Generated ${escapeHTML(report.generatedAt)}.</p>
+<h2>Hue histogram</h2>
+<p>Images with a chroma below ${summary.hueHistogram.greyChromaThreshold} count as greys.</p>
+<div class="histogram">
+${histogramBars.join('\n')}
+</div>
+<h2>Spread</h2>
+<table>
+<tr><th></th><th>min</th><th>max</th><th>mean</th><th>median</th><th>standard deviation</th></tr>
+${statisticsRows.join('\n')}
+</table>
+<h2>Outliers</h2>
+${outlierItems.length > 0 ? `<ul>\n${outlierItems.join('\n')}\n</ul>` : '<p>None! Every image fits right in.</p>'}
+${skippedItems.length > 0 ? `<h2>Skipped images</h2>\n<p>These couldn't be read, so they aren't in this report.</p>\n<ul>\n${skippedItems.join('\n')}\n</ul>\n` : ''}<h2>Images, in sorted order</h2>
+<table>
+<tr><th>#</th><th>color</th><th>filename</th>${COLOR_FIELDS.map((field) => { return `<th>${field}</th>`; }).join('')}</tr>
+${imageRows.join('\n')}
+</table>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    escapeCSV,
+    createReport,
+    createReportCSV,
+    createReportHTML,
+};
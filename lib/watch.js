@@ -0,0 +1,52 @@
+// This module watches a directory and calls back after things in it stop changing.
+// Copying a batch of photos into a folder fires lots of events in a row, so we wait until
+// the directory has been quiet for a little while, then rebuild once.
+const fs = require('fs');
+
+// This function watches `directory` and calls `onChange(changedFilenames)` once changes have settled down
+// for `debounce` milliseconds. Only filenames for which `filter(filename)` returns `true` count as changes.
+// `onChange` may return a Promise. Changes that happen while it's running are saved up for one more call afterwards,
+// so calls never overlap. Set `recursive` to `true` to watch subdirectories, too.
+// Returns the `fs.FSWatcher`; call `close()` on it to stop watching.
+function watchDirectory(directory, { debounce = 500, recursive = false, filter = () => { return true; }, onChange }) {
+    let changedFilenames = new Set();
+    let timeout;
+    let isRunning = false;
+
+    const run = async () => {
+        timeout = undefined;
+        if (isRunning) {
+            return;
+        }
+
+        isRunning = true;
+        const filenames = Array.from(changedFilenames);
+        changedFilenames = new Set();
+        try {
+            await onChange(filenames);
+        } finally {
+            isRunning = false;
+            // Something changed while we were busy, so go around again.
+            if (changedFilenames.size > 0 && !timeout) {
+                timeout = setTimeout(run, debounce);
+            }
+        }
+    };
+
+    const watcher = fs.watch(directory, { recursive }, (eventType, filename) => {
+        // Some platforms don't tell us which file changed. In that case, assume it was one we care about.
+        if (filename && !filter(filename.toString())) {
+            return;
+        }
+
+        changedFilenames.add(filename ? filename.toString() : '');
+        clearTimeout(timeout);
+        timeout = setTimeout(run, debounce);
+    });
+
+    return watcher;
+}
+
+module.exports = {
+    watchDirectory,
+};